@@ -0,0 +1,113 @@
+/**
+ * Service worker: makes the dashboard work offline and shows reminder and
+ * new event notifications
+ *
+ * The build writes precache-manifest.js with the files of the app shell (see
+ * the precache plugin in vite.config.js). They are cached on install and
+ * served from the cache; the events API is fetched from the network first and
+ * answered with the last successful response while offline. The dev server has
+ * no manifest, so nothing is cached there.
+ */
+
+const EVENTS_CACHE = 'events-api';
+const EVENTS_API_PATH = '/api/events';
+
+let precache = null;
+try {
+  importScripts('/precache-manifest.js');
+  precache = self.__PRECACHE_MANIFEST;
+} catch {
+  // Dev server: notifications only
+}
+
+const SHELL_CACHE = precache ? `shell-${precache.version}` : null;
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    if (precache) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(precache.urls);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    // Drop the shell of previous builds
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Fetches the events from the network, falling back to the last response.
+ * Cached responses are marked with an X-Served-From-Cache header.
+ * @param {Request} request - Events API request
+ * @returns {Promise<Response>} Fresh or cached response
+ */
+async function fetchEvents(request) {
+  const cache = await caches.open(EVENTS_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) throw error;
+    const headers = new Headers(cached.headers);
+    headers.set('X-Served-From-Cache', 'true');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+/**
+ * Loads a page from the network, falling back to the cached app shell
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page
+ */
+async function fetchPage(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = await caches.match('/', { cacheName: SHELL_CACHE });
+    if (!shell) throw error;
+    return shell;
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (!precache || request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetchPage(request));
+  } else if (url.pathname === EVENTS_API_PATH) {
+    event.respondWith(fetchEvents(request));
+  } else if (precache.urls.includes(url.pathname)) {
+    event.respondWith((async () => {
+      const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+      return cached || fetch(request);
+    })());
+  }
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil((async () => {
+    // Reuse an open dashboard tab for links to the dashboard itself
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const dashboard = windows.find(client => new URL(client.url).origin === self.location.origin);
+    if (dashboard && new URL(url, self.location.origin).origin === self.location.origin) {
+      await dashboard.focus();
+      return dashboard.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
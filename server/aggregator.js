@@ -0,0 +1,128 @@
+/**
+ * Runs the source adapters on the server and keeps their latest results
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { getSources, getSource, resolveProxyUrl } from '../src/services/sources/index.js';
+import { fetchSourceEvents } from '../src/services/eventService.js';
+import { mergeWithCache } from '../src/services/eventCache.js';
+
+// Latest result of every source, keyed by source id
+let results = {};
+let dataFile = null;
+let pendingRefresh = null;
+// Refreshes in progress and the time the last one of each source started, keyed by source id
+const pendingSources = new Map();
+const lastRefreshStarts = new Map();
+// Writes of the data file, chained so they never overlap
+let pendingSave = Promise.resolve();
+// Applied to every fetched result before it is stored, see setResultTransform()
+let transformResult = result => result;
+
+/**
+ * Loads the results stored by a previous run so the API can answer right away
+ * @param {string} file - Path of the JSON data file
+ */
+export async function loadStoredResults(file) {
+  dataFile = file;
+  try {
+    results = JSON.parse(await readFile(file, 'utf8'));
+    console.log(`Loaded stored events for ${Object.keys(results).join(', ')}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading stored events:', error);
+    }
+    results = {};
+  }
+}
+
+/**
+ * Writes the current results to the data file, after any write still running.
+ * The file is replaced in one step, so readers never see a partial write.
+ * @returns {Promise<void>}
+ */
+function saveResults() {
+  if (!dataFile) return Promise.resolve();
+  pendingSave = pendingSave.then(async () => {
+    try {
+      await mkdir(dirname(dataFile), { recursive: true });
+      await writeFile(`${dataFile}.tmp`, JSON.stringify(results));
+      await rename(`${dataFile}.tmp`, dataFile);
+    } catch (error) {
+      console.error('Error storing events:', error);
+    }
+  });
+  return pendingSave;
+}
+
+/**
+ * Sets a function applied to every fetched source result before it is stored
+ * (the fixtures mode moves recorded events to the present with it)
+ * @param {Function} transform - Receives and returns a source result
+ */
+export function setResultTransform(transform) {
+  transformResult = transform;
+}
+
+/**
+ * Fetches one source and stores its result. A failed fetch keeps the previous events.
+ * Concurrent calls for the same source share the refresh already running.
+ * @param {string} id - Source id
+ * @returns {Promise<Object|null>} Stored source result, or null for an unknown source
+ */
+export function refreshSource(id) {
+  const source = getSource(id);
+  if (!source) return Promise.resolve(null);
+
+  if (!pendingSources.has(id)) {
+    lastRefreshStarts.set(id, Date.now());
+    const refresh = fetchSourceEvents(source, { resolveUrl: resolveProxyUrl })
+      .then(transformResult)
+      .then(async result => {
+        results[id] = mergeWithCache(result, results[id]);
+        console.log(`${id}: ${result.status}, ${result.count} events in ${result.duration}ms${result.error ? ` (${result.error})` : ''}`);
+        await saveResults();
+        return results[id];
+      })
+      .finally(() => {
+        pendingSources.delete(id);
+      });
+    pendingSources.set(id, refresh);
+  }
+  return pendingSources.get(id);
+}
+
+/**
+ * Time left until a source may be refreshed on request again
+ * @param {string} id - Source id
+ * @param {number} minInterval - Minimum time between the starts of two refreshes, in milliseconds
+ * @returns {number} Milliseconds to wait, 0 when a refresh may start now
+ */
+export function getRefreshWait(id, minInterval) {
+  if (pendingSources.has(id) || !lastRefreshStarts.has(id)) return 0;
+  return Math.max(0, lastRefreshStarts.get(id) + minInterval - Date.now());
+}
+
+/**
+ * Fetches every source. Concurrent calls share the refresh already running.
+ * @returns {Promise<void>}
+ */
+export function refreshAll() {
+  if (!pendingRefresh) {
+    pendingRefresh = Promise.all(getSources().map(source => refreshSource(source.id)))
+      .then(() => undefined)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * Gets the stored results in registry order
+ * @returns {Array} Source results
+ */
+export function getResults() {
+  return getSources().map(source => results[source.id]).filter(Boolean);
+}
@@ -0,0 +1,9 @@
+/**
+ * Provides the browser DOMParser used by the HTML source adapters
+ */
+
+import { DOMParser } from 'linkedom';
+
+if (typeof globalThis.DOMParser === 'undefined') {
+  globalThis.DOMParser = DOMParser;
+}
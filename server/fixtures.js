@@ -0,0 +1,205 @@
+/**
+ * Recorded source responses, for developing and demoing without network access
+ *
+ * Every request a source adapter makes maps to a file named after its path:
+ *   https://vis.ethz.ch/en/events/1201/ (or /api/vis/en/events/1201/) -> vis/en/events/1201/index.html
+ *   https://zurich.esn.ch/event/3301    (or /api/esn/event/3301)      -> esn/event/3301.html
+ * JSON sources called directly (ETH, UZH) are stored as <id>.json.
+ *
+ * recorded.json holds the day each source was recorded. When the fixtures are
+ * served, events are moved forward by whole weeks from that day to today, so a
+ * demo always has upcoming events.
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getSources } from '../src/services/sources/index.js';
+import { SOURCE_TIME_ZONE, addZonedDays } from '../src/services/timezone.js';
+
+// Written by `npm run fixtures:record`
+export const RECORDED_FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+// Hand-made pages the tests run on, served until responses are recorded
+export const TEST_FIXTURES_DIR = fileURLToPath(new URL('../test/fixtures/', import.meta.url));
+
+const RECORDING_DATES_FILE = 'recorded.json';
+const WEEK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * Maps a source request to its fixture file
+ * @param {string} url - Absolute URL or proxied path requested by a source adapter
+ * @returns {string|null} Path relative to the fixtures directory, or null if no source makes that request
+ */
+export function getFixturePath(url) {
+  for (const source of getSources()) {
+    if (url === source.endpoint && source.format === 'json') {
+      return `${source.id.toLowerCase()}.json`;
+    }
+    const prefix = [source.proxy?.path, source.proxy?.target].find(candidate => candidate && url.startsWith(candidate));
+    if (prefix) {
+      const path = url.slice(prefix.length).split(/[?#]/)[0].replace(/^\/+/, '');
+      return `${source.id.toLowerCase()}/${path === '' || path.endsWith('/') ? `${path}index.html` : `${path}.html`}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Chooses the fixtures to serve: EVENTS_FIXTURES_DIR, the recorded responses, or the test fixtures
+ * @returns {string} Fixtures directory
+ */
+export function getFixturesDir() {
+  if (process.env.EVENTS_FIXTURES_DIR) return process.env.EVENTS_FIXTURES_DIR;
+  return existsSync(RECORDED_FIXTURES_DIR) ? RECORDED_FIXTURES_DIR : TEST_FIXTURES_DIR;
+}
+
+/**
+ * Answers every fetch() from the fixtures instead of the network. Requests
+ * without a fixture get a 404, like a missing page.
+ * @param {string} dir - Fixtures directory
+ */
+export function serveFixtures(dir) {
+  globalThis.fetch = async url => {
+    const path = getFixturePath(String(url));
+    try {
+      if (!path) throw new Error('not a source request');
+      const body = await readFile(join(dir, path));
+      const extension = path.slice(path.lastIndexOf('.'));
+      return new Response(body, { status: 200, headers: { 'Content-Type': CONTENT_TYPES[extension] } });
+    } catch (error) {
+      console.warn(`No fixture for ${url}${path ? ` (${path})` : ''}`);
+      return new Response('Not found', { status: 404 });
+    }
+  };
+}
+
+/**
+ * Makes fetch() keep a copy of every successful source response
+ * @returns {Map<string, string>} Recorded bodies by fixture path, filled as requests complete
+ */
+export function startRecording() {
+  const recorded = new Map();
+  const liveFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    const response = await liveFetch(url, options);
+    const path = getFixturePath(String(url));
+    if (response.ok && path) {
+      recorded.set(path, await response.clone().text());
+    }
+    return response;
+  };
+  return recorded;
+}
+
+/**
+ * Replaces the fixtures of a source with newly recorded responses
+ * @param {string} dir - Fixtures directory
+ * @param {Object} source - Source adapter
+ * @param {Map<string, string>} recorded - Bodies from startRecording(), by fixture path
+ * @returns {Promise<number>} Number of files written
+ */
+export async function writeSourceFixtures(dir, source, recorded) {
+  const prefix = source.id.toLowerCase();
+  await rm(join(dir, prefix), { recursive: true, force: true });
+  await rm(join(dir, `${prefix}.json`), { force: true });
+
+  const paths = [...recorded.keys()].filter(path => path === `${prefix}.json` || path.startsWith(`${prefix}/`));
+  for (const path of paths) {
+    await mkdir(dirname(join(dir, path)), { recursive: true });
+    await writeFile(join(dir, path), recorded.get(path));
+  }
+  return paths.length;
+}
+
+/**
+ * Reads the day each source was recorded
+ * @param {string} dir - Fixtures directory
+ * @returns {Promise<Object<string, string>>} ISO dates by source id, empty when unknown
+ */
+export async function readRecordingDates(dir) {
+  try {
+    return JSON.parse(await readFile(join(dir, RECORDING_DATES_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading fixture recording dates:', error);
+    }
+    return {};
+  }
+}
+
+/**
+ * Stores the day sources were recorded, keeping the dates of the other sources
+ * @param {string} dir - Fixtures directory
+ * @param {Array<string>} sourceIds - Sources recorded just now
+ * @param {Date} [now] - Recording time
+ */
+export async function writeRecordingDates(dir, sourceIds, now = new Date()) {
+  const dates = await readRecordingDates(dir);
+  sourceIds.forEach(id => {
+    dates[id] = now.toISOString();
+  });
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, RECORDING_DATES_FILE), `${JSON.stringify(dates, null, 2)}\n`);
+}
+
+/**
+ * Days to move recorded events forward so they are as far from today as they were
+ * from the recording day. Whole weeks keep weekdays, e.g. for opening hours.
+ * @param {string|undefined} recordedAt - ISO date of the recording
+ * @param {Date} [now] - Current time
+ * @returns {number} Days, a multiple of 7; 0 when the recording date is unknown
+ */
+export function getDateShift(recordedAt, now = new Date()) {
+  const recorded = new Date(recordedAt);
+  if (!recordedAt || isNaN(recorded.getTime())) return 0;
+  return Math.round((now - recorded) / (WEEK_DAYS * DAY_MS)) * WEEK_DAYS;
+}
+
+/**
+ * Moves the dates of an event by whole days, keeping their Zurich wall-clock times
+ * @param {Object} event - Normalized event
+ * @param {number} days - Days to add
+ * @returns {Object} Shifted copy of the event
+ */
+export function shiftEventDates(event, days) {
+  if (days === 0) return event;
+  const shiftTime = value => (value ? addZonedDays(new Date(value), days, SOURCE_TIME_ZONE).toISOString() : value);
+  const shiftDay = value => {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return value;
+    return new Date(Date.UTC(match[1], match[2] - 1, parseInt(match[3]) + days)).toISOString().slice(0, 10);
+  };
+
+  const indication = { ...event['date-time-indication'] };
+  if (indication['in-progress-timerange-array']) {
+    indication['in-progress-timerange-array'] = indication['in-progress-timerange-array'].map(range => ({
+      ...range,
+      'date-time-from': shiftTime(range['date-time-from']),
+      'date-time-to': shiftTime(range['date-time-to'])
+    }));
+  }
+  if (indication['opening-hours']) {
+    indication['opening-hours'] = {
+      ...indication['opening-hours'],
+      'date-from': shiftDay(indication['opening-hours']['date-from']),
+      'date-to': shiftDay(indication['opening-hours']['date-to'])
+    };
+  }
+
+  const shifted = { ...event, 'date-time-indication': indication };
+  if (event.vis?.registration) {
+    shifted.vis = {
+      ...event.vis,
+      registration: { start: shiftTime(event.vis.registration.start), end: shiftTime(event.vis.registration.end) }
+    };
+  }
+  return shifted;
+}
@@ -0,0 +1,222 @@
+/**
+ * Aggregation server: scrapes every source on a schedule, serves the results
+ * as a JSON API and serves the built dashboard.
+ *
+ * Environment:
+ * - PORT: port to listen on (default 3000)
+ * - REFRESH_INTERVAL_MINUTES: how often all sources are re-fetched (default 30)
+ * - MIN_MANUAL_REFRESH_SECONDS: how soon after its last refresh a source may be
+ *   refreshed on request again (default 300)
+ * - EVENTS_DATA_FILE: where results are stored between restarts
+ *
+ * With --fixtures (npm run server:fixtures) sources are read from recorded
+ * responses instead of the network, see fixtures.js. Their events are moved
+ * forward to the present, and results are not stored.
+ */
+
+import './dom.js';
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { filterEventsInRange, filterEventsWithFood } from '../src/services/eventService.js';
+import { FOOD_CONFIDENCE_LEVELS, DEFAULT_FOOD_CONFIDENCE } from '../src/services/foodDetection.js';
+import { buildCalendar } from '../src/services/icalendar.js';
+import { mergeDuplicateEvents } from '../src/services/duplicates.js';
+import { getRefreshWait, getResults, loadStoredResults, refreshAll, refreshSource, setResultTransform } from './aggregator.js';
+import { serveStatic } from './static.js';
+import { getDateShift, getFixturesDir, readRecordingDates, serveFixtures, shiftEventDates } from './fixtures.js';
+
+const PORT = parseInt(process.env.PORT || '3000');
+const REFRESH_INTERVAL_MINUTES = parseFloat(process.env.REFRESH_INTERVAL_MINUTES || '30');
+const MIN_MANUAL_REFRESH_SECONDS = parseFloat(process.env.MIN_MANUAL_REFRESH_SECONDS || '300');
+const DATA_FILE = process.env.EVENTS_DATA_FILE || fileURLToPath(new URL('./data/events.json', import.meta.url));
+const DIST_DIR = fileURLToPath(new URL('../dist', import.meta.url));
+const USE_FIXTURES = process.argv.includes('--fixtures');
+
+/**
+ * Sends a JSON response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body to serialize
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-cache'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Parses a date query parameter
+ * @param {string|null} value - ISO date or date-time
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses the food query parameter
+ * @param {string|null} value - 'true' or a confidence level id
+ * @returns {string|null} Lowest accepted food confidence, null when not filtering
+ */
+function parseFoodParam(value) {
+  if (value === 'true') return DEFAULT_FOOD_CONFIDENCE;
+  return FOOD_CONFIDENCE_LEVELS.some(level => level.id === value) ? value : null;
+}
+
+/**
+ * Strips the events from a source result
+ * @param {Object} result - Source result
+ * @returns {Object} Status summary
+ */
+function summarize({ events, ...summary }) {
+  return summary;
+}
+
+/**
+ * Selects events matching the query parameters shared by the events API and the calendar feed:
+ * source=ETH,VIS, from=2025-12-01, to=2025-12-14, food=true (or food=certain|likely|maybe)
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{results: Array, events: Array}|{error: string}} Matching source results and events
+ */
+function selectEvents(params) {
+  const from = parseDateParam(params.get('from'));
+  const to = parseDateParam(params.get('to'));
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be ISO dates' };
+  }
+
+  let results = getResults();
+  if (params.get('source')) {
+    const sources = params.get('source').split(',').map(id => id.trim().toUpperCase());
+    results = results.filter(result => sources.includes(result.source));
+  }
+
+  let events = results.flatMap(result => result.events);
+  if (from || to) {
+    events = filterEventsInRange(events, from || new Date(-8.64e15), to || new Date(8.64e15));
+  }
+  const foodConfidence = parseFoodParam(params.get('food'));
+  if (foodConfidence) {
+    events = filterEventsWithFood(events, foodConfidence);
+  }
+
+  return { results, events };
+}
+
+/**
+ * GET /api/events
+ * @param {URLSearchParams} params - Query parameters, see selectEvents()
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+function handleEvents(params, res) {
+  const { results, events, error } = selectEvents(params);
+  if (error) {
+    sendJson(res, 400, { error });
+    return;
+  }
+
+  sendJson(res, 200, {
+    sources: results.map(summarize),
+    count: events.length,
+    events
+  });
+}
+
+/**
+ * GET /api/calendar.ics, a subscribable feed of the selected events
+ * @param {URLSearchParams} params - Query parameters, see selectEvents()
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+function handleCalendar(params, res) {
+  const { results, events, error } = selectEvents(params);
+  if (error) {
+    sendJson(res, 400, { error });
+    return;
+  }
+
+  const food = parseFoodParam(params.get('food')) ? ' with food' : '';
+  const name = `${results.map(result => result.source).join(', ')} events${food}`;
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="events.ics"',
+    'Cache-Control': 'no-cache'
+  });
+  res.end(buildCalendar(mergeDuplicateEvents(events), { name }));
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (url.pathname === '/api/events' && req.method === 'GET') {
+      handleEvents(url.searchParams, res);
+      return;
+    }
+
+    if (url.pathname === '/api/calendar.ics' && req.method === 'GET') {
+      handleCalendar(url.searchParams, res);
+      return;
+    }
+
+    if (url.pathname === '/api/sources' && req.method === 'GET') {
+      sendJson(res, 200, getResults().map(summarize));
+      return;
+    }
+
+    // POST /api/sources/:id/refresh re-fetches one source right away, at most
+    // once per MIN_MANUAL_REFRESH_SECONDS so the upstream sites are not hammered
+    const refreshMatch = url.pathname.match(/^\/api\/sources\/([^/]+)\/refresh$/);
+    if (refreshMatch && req.method === 'POST') {
+      const id = refreshMatch[1].toUpperCase();
+      const wait = getRefreshWait(id, MIN_MANUAL_REFRESH_SECONDS * 1000);
+      if (wait > 0) {
+        res.setHeader('Retry-After', String(Math.ceil(wait / 1000)));
+        sendJson(res, 429, { error: `${id} was refreshed recently, try again in ${Math.ceil(wait / 1000)}s` });
+        return;
+      }
+      const result = await refreshSource(id);
+      if (result) {
+        sendJson(res, 200, result);
+      } else {
+        sendJson(res, 404, { error: `Unknown source ${refreshMatch[1]}` });
+      }
+      return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    await serveStatic(DIST_DIR, url.pathname, res);
+  } catch (error) {
+    console.error(`Error handling ${req.method} ${url.pathname}:`, error);
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+});
+
+if (USE_FIXTURES) {
+  const fixturesDir = getFixturesDir();
+  serveFixtures(fixturesDir);
+  const recordingDates = await readRecordingDates(fixturesDir);
+  setResultTransform(result => {
+    const days = getDateShift(recordingDates[result.source]);
+    return { ...result, events: result.events.map(event => shiftEventDates(event, days)) };
+  });
+  console.log(`Serving sources from the fixtures in ${fixturesDir}, with events moved to the present`);
+} else {
+  await loadStoredResults(DATA_FILE);
+}
+
+server.listen(PORT, () => {
+  console.log(`Events server listening on http://localhost:${PORT}`);
+});
+
+refreshAll();
+setInterval(refreshAll, REFRESH_INTERVAL_MINUTES * 60 * 1000);
@@ -0,0 +1,39 @@
+/**
+ * Records the live responses of every source into the fixtures directory,
+ * for the offline mode of the aggregation server (npm run server:fixtures).
+ *
+ * Usage: npm run fixtures:record [-- ETH VIS]
+ * Sources that fail keep their previous recording.
+ */
+
+import './dom.js';
+import { getSources, resolveProxyUrl } from '../src/services/sources/index.js';
+import { fetchSourceEvents } from '../src/services/eventService.js';
+import { RECORDED_FIXTURES_DIR, startRecording, writeRecordingDates, writeSourceFixtures } from './fixtures.js';
+
+const dir = process.env.EVENTS_FIXTURES_DIR || RECORDED_FIXTURES_DIR;
+const requested = process.argv.slice(2).map(id => id.toUpperCase());
+const sources = getSources().filter(source => requested.length === 0 || requested.includes(source.id));
+
+const recorded = startRecording();
+const recordedSources = [];
+let failed = false;
+
+// One source at a time, so the recorded files of each can be told apart when it fails
+for (const source of sources) {
+  const result = await fetchSourceEvents(source, { resolveUrl: resolveProxyUrl });
+  if (result.status === 'failed') {
+    failed = true;
+    console.error(`${source.id}: not recorded (${result.error})`);
+    continue;
+  }
+  const files = await writeSourceFixtures(dir, source, recorded);
+  recordedSources.push(source.id);
+  console.log(`${source.id}: recorded ${files} responses, ${result.count} events`);
+}
+
+// Lets the server move the recorded events to the present, see fixtures.js
+await writeRecordingDates(dir, recordedSources);
+
+console.log(`Fixtures are in ${dir}`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,73 @@
+/**
+ * Serves the built Vue app from dist/, falling back to index.html
+ */
+
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { extname, isAbsolute, join, normalize, relative, sep } from 'node:path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Resolves a request path to a file inside the root directory
+ * @param {string} root - Directory to serve
+ * @param {string} pathname - Request path
+ * @returns {Promise<string|null>} File path or null if there is no such file
+ */
+async function resolveFile(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escapes such as "%E0%A4%A" name no file
+    return null;
+  }
+  const filePath = normalize(join(root, decoded));
+  // Compare whole path segments, so a sibling such as dist-other/ is outside dist/
+  const relativePath = relative(root, filePath);
+  if (relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath)) return null;
+  try {
+    const info = await stat(filePath);
+    return info.isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serves a static file, or index.html for unknown paths
+ * @param {string} root - Absolute path of the directory to serve
+ * @param {string} pathname - Request path
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+export async function serveStatic(root, pathname, res) {
+  const filePath = await resolveFile(root, pathname) || await resolveFile(root, '/index.html');
+  if (!filePath) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found - run `npm run build` first');
+    return;
+  }
+
+  // Vite fingerprints everything under assets/, so it can be cached forever
+  const cacheControl = pathname.startsWith('/assets/') ? 'public, max-age=31536000, immutable' : 'no-cache';
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream',
+    'Cache-Control': cacheControl
+  });
+  createReadStream(filePath)
+    .on('error', error => {
+      // The headers are already sent, so the response can only be cut short
+      console.error(`Error reading ${filePath}:`, error);
+      res.destroy(error);
+    })
+    .pipe(res);
+}
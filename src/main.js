@@ -3,3 +3,12 @@ import './style.css'
 import App from './App.vue'
 
 createApp(App).mount('#app')
+
+// Offline support (public/sw.js); the dev server is always fetched fresh
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Error registering service worker:', error)
+    })
+  })
+}
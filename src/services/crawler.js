@@ -0,0 +1,148 @@
+/**
+ * Helpers for crawling detail pages politely: bounded concurrency,
+ * per-request timeouts, retries with exponential backoff and cancellation.
+ */
+
+/**
+ * Default crawl settings, overridable per source with `crawlOptions`
+ */
+export const DEFAULT_CRAWL_OPTIONS = {
+  concurrency: 4, // Parallel requests per source
+  timeout: 10000, // Per-request timeout in milliseconds
+  retries: 2, // Extra attempts after a failed request
+  backoff: 500 // Initial retry delay in milliseconds, doubled on each attempt
+};
+
+/**
+ * Creates the error thrown when a crawl is cancelled
+ * @returns {DOMException} AbortError
+ */
+function abortError() {
+  return new DOMException('The crawl was aborted', 'AbortError');
+}
+
+/**
+ * Waits for a delay unless the signal is aborted first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Settles like a promise, but rejects as soon as the signal is aborted
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise} Result of the promise
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('The request was aborted', 'AbortError'));
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx responses
+ */
+function isRetryable(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.status === undefined) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Fetches a URL with a timeout and retries with exponential backoff
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Crawl options (see DEFAULT_CRAWL_OPTIONS)
+ * @param {AbortSignal} [options.signal] - Cancels the request and pending retries
+ * @param {Function} [options.read] - Reads the body of a successful response (e.g.
+ *   response => response.text()). It runs within the timeout and is retried with the
+ *   request, so a stalled or broken body cannot hang the crawl.
+ * @returns {Promise<*>} Value returned by `read`, or the response when there is none
+ */
+export async function fetchWithRetry(url, options = {}) {
+  const { timeout, retries, backoff, signal, read } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError();
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return read ? await untilAborted(read(response), controller.signal) : response;
+    } catch (error) {
+      if (signal?.aborted) throw abortError();
+      const failure = error.name === 'AbortError'
+        ? new Error(`Request timed out after ${timeout}ms: ${url}`)
+        : error;
+      if (attempt >= retries || !isRetryable(failure)) throw failure;
+      await sleep(backoff * 2 ** attempt, signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+/**
+ * Runs a worker over items with at most `concurrency` workers in flight
+ * @param {Array} items - Items to process (e.g. event ids)
+ * @param {Function} worker - Async function called with (item, signal)
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.concurrency] - Maximum parallel workers
+ * @param {AbortSignal} [options.signal] - Stops starting new items when aborted
+ * @returns {Promise<Array<{item: *, value?: *, error?: Error}>>} One outcome per item, in input order
+ */
+export async function crawl(items, worker, options = {}) {
+  const { concurrency, signal } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const outcomes = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      if (signal?.aborted) throw abortError();
+      const index = next++;
+      const item = items[index];
+      try {
+        outcomes[index] = { item, value: await worker(item, signal) };
+      } catch (error) {
+        if (signal?.aborted) throw abortError();
+        outcomes[index] = { item, error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return outcomes;
+}
@@ -0,0 +1,195 @@
+/**
+ * Cross-source duplicate detection
+ *
+ * The same talk is often listed by ETH and by a student association or UZH.
+ * Events from different sources are duplicates when their time ranges overlap
+ * and their titles are similar; a matching location lowers the title
+ * similarity needed. Duplicates are merged into one event that keeps the links
+ * and metadata of every listing.
+ */
+
+import { getSources, getSource } from './sources/index.js';
+import { formatEventLocation } from './eventService.js';
+import { foldText } from './text.js';
+
+// Title similarity (Dice coefficient of title words) needed on its own...
+const TITLE_SIMILARITY = 0.8;
+// ...or together with a matching location
+const TITLE_SIMILARITY_WITH_LOCATION = 0.5;
+// Events running longer are exhibitions or courses and are never merged
+const MAX_DURATION = 24 * 60 * 60 * 1000;
+
+// Words that say nothing about which event it is
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'der', 'die', 'das', 'und', 'mit', 'von', 'des', 'les', 'pour', 'avec',
+  'talk', 'lecture', 'vortrag', 'event', 'seminar', 'eth', 'uzh', 'zurich'
+]);
+
+/**
+ * @typedef {Object} Listing
+ * @property {string} source - Source id
+ * @property {string} id - Event id within that source
+ * @property {string} title - Title used by that source
+ * @property {string|null} url - Official event page on that source
+ */
+
+/**
+ * Splits a title or location into its significant folded words
+ * @param {string} text - Title or location
+ * @returns {Set<string>} Words
+ */
+function significantWords(text) {
+  const words = foldText(text).split(/[^\p{L}\p{N}]+/u);
+  return new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Dice coefficient of two word sets
+ * @param {Set<string>} a - Words
+ * @param {Set<string>} b - Words
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Gets the single time range of an event that can be merged
+ * @param {Object} event - Event object
+ * @returns {{start: number, end: number}|null} Time range in milliseconds, null for
+ *   opening hours, several sessions or very long events
+ */
+function getTimeRange(event) {
+  const ranges = event['date-time-indication']?.['in-progress-timerange-array'];
+  if (!ranges || ranges.length !== 1) return null;
+  const start = new Date(ranges[0]['date-time-from']).getTime();
+  const end = new Date(ranges[0]['date-time-to']).getTime();
+  if (isNaN(start) || isNaN(end) || end - start > MAX_DURATION) return null;
+  return { start, end: Math.max(end, start + 1) };
+}
+
+/**
+ * Checks whether two prepared events are likely the same event
+ * @param {Object} a - Prepared event
+ * @param {Object} b - Prepared event
+ * @returns {boolean} True if they are duplicates
+ */
+function isDuplicate(a, b) {
+  if (a.event.source === b.event.source) return false;
+  if (a.range.start >= b.range.end || b.range.start >= a.range.end) return false;
+
+  const titleSimilarity = similarity(a.titleWords, b.titleWords);
+  if (titleSimilarity >= TITLE_SIMILARITY) return true;
+
+  // Unknown locations neither confirm nor rule out a duplicate
+  const locationMatches = similarity(a.locationWords, b.locationWords) > 0;
+  return locationMatches && titleSimilarity >= TITLE_SIMILARITY_WITH_LOCATION;
+}
+
+/**
+ * Groups likely duplicates from different sources
+ * @param {Array} events - Array of events
+ * @returns {Array<Array>} Groups of two or more duplicate events
+ */
+export function findDuplicateGroups(events) {
+  const prepared = events
+    .map(event => ({ event, range: getTimeRange(event) }))
+    .filter(item => item.range)
+    .map(item => ({
+      ...item,
+      titleWords: significantWords(item.event.content.title),
+      locationWords: significantWords(formatEventLocation(item.event))
+    }))
+    .sort((a, b) => a.range.start - b.range.start);
+
+  // Union-find over events; sorted by start, so only events starting before
+  // the current one ends can overlap it
+  const parent = prepared.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  // Sources in each group, by root. Matches are not transitive: two groups sharing a
+  // source are never joined, or two different events of that source would merge.
+  const groupSources = prepared.map(item => new Set([item.event.source]));
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length && prepared[j].range.start < prepared[i].range.end; j++) {
+      if (!isDuplicate(prepared[i], prepared[j])) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      if (rootI === rootJ || [...groupSources[rootJ]].some(source => groupSources[rootI].has(source))) continue;
+      parent[rootJ] = rootI;
+      groupSources[rootJ].forEach(source => groupSources[rootI].add(source));
+    }
+  }
+
+  const groups = new Map();
+  prepared.forEach((item, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item.event);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Merges a group of duplicates into one event. The listing of the source
+ * registered first is kept as the base; empty fields and unknown prices are
+ * filled from the others.
+ * @param {Array} group - Duplicate events
+ * @returns {Object} Merged event with a `listings` array
+ */
+function mergeGroup(group) {
+  const order = getSources().map(source => source.id);
+  const [primary, ...others] = [...group].sort((a, b) => order.indexOf(a.source) - order.indexOf(b.source));
+
+  const description = [primary, ...others]
+    .map(event => event.content.description)
+    .find(Boolean) || '';
+  const withLocation = [primary, ...others].find(event => formatEventLocation(event));
+  const withPrice = [primary, ...others].find(event => event.price && (event.price.amount !== null || event.price.memberAmount !== null));
+
+  const merged = {
+    ...primary,
+    content: { ...primary.content, description },
+    location: withLocation ? withLocation.location : primary.location,
+    price: withPrice ? withPrice.price : primary.price,
+    listings: [primary, ...others].map(event => ({
+      source: event.source,
+      id: event.id,
+      title: event.content.title,
+      url: getSource(event.source)?.getEventUrl(event) || event.content['link-url'] || null
+    }))
+  };
+
+  // Keep source-specific details (`uzh`, `vis`, ...) of every listing
+  others.forEach(event => {
+    const key = event.source.toLowerCase();
+    if (event[key] && !merged[key]) merged[key] = event[key];
+  });
+  return merged;
+}
+
+/**
+ * Replaces likely duplicates from different sources by a single merged event
+ * @param {Array} events - Array of events
+ * @returns {Array} Events with each duplicate group merged, in the original order
+ */
+export function mergeDuplicateEvents(events) {
+  const mergedByEvent = new Map();
+  findDuplicateGroups(events).forEach(group => {
+    const merged = mergeGroup(group);
+    group.forEach(event => mergedByEvent.set(event, merged));
+  });
+  if (mergedByEvent.size === 0) return events;
+
+  const seen = new Set();
+  return events.reduce((result, event) => {
+    const replacement = mergedByEvent.get(event) || event;
+    if (!seen.has(replacement)) {
+      seen.add(replacement);
+      result.push(replacement);
+    }
+    return result;
+  }, []);
+}
@@ -0,0 +1,101 @@
+/**
+ * Persistent per-source event cache backed by IndexedDB
+ *
+ * The last successful result of every source is stored with its fetch time so
+ * the dashboard can render instantly and keep working offline.
+ */
+
+const DB_NAME = 'ethEventsCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'sourceResults';
+
+let databasePromise = null;
+
+/**
+ * Opens (and creates on first use) the cache database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'source' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to retry if opening failed
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs a request against the cache store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, createRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Loads the cached result of every source
+ * @returns {Promise<Object>} Source results keyed by source id (empty when nothing is cached)
+ */
+export async function loadCachedResults() {
+  try {
+    const results = await withStore('readonly', store => store.getAll());
+    return Object.fromEntries(results.map(result => [result.source, { ...result, cached: true }]));
+  } catch (error) {
+    console.error('Error reading event cache:', error);
+    return {};
+  }
+}
+
+/**
+ * Stores a source result unless the fetch failed, so the last good data is kept
+ * @param {Object} result - Source result from fetchSourceEvents()
+ */
+export async function cacheSourceResult(result) {
+  // Failed fetches and offline copies are already cached
+  if (result.status === 'failed' || result.stale) return;
+  try {
+    await withStore('readwrite', store => store.put(result));
+  } catch (error) {
+    console.error(`Error caching ${result.source} events:`, error);
+  }
+}
+
+/**
+ * Combines a fresh result with the cached one of the same source. A failed
+ * fetch keeps serving the cached events, flagged as stale.
+ * @param {Object} fresh - Source result from fetchSourceEvents()
+ * @param {Object} [cached] - Cached result of the same source
+ * @returns {Object} Result to display
+ */
+export function mergeWithCache(fresh, cached) {
+  if (fresh.status !== 'failed' || !cached) return fresh;
+  return {
+    ...cached,
+    status: 'failed',
+    error: fresh.error,
+    duration: fresh.duration,
+    stale: true
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Canonical internal event model
+ *
+ * Every source adapter returns event drafts that are normalized into this shape
+ * before they reach the rest of the app. The shape follows the ETH PCM API so
+ * ETH entries need the least conversion.
+ *
+ * @typedef {Object} TimeRange
+ * @property {string} date-time-from - ISO 8601 start
+ * @property {string} date-time-to - ISO 8601 end
+ *
+ * @typedef {Object} Price
+ * @property {number|null} amount - Regular price, 0 for free events, null when unknown
+ * @property {number|null} memberAmount - Reduced price for members, null if there is none
+ * @property {string|null} membership - Membership the reduced price needs (e.g. 'ESNcard')
+ * @property {string} currency - ISO 4217 currency code
+ *
+ * @typedef {Object} Event
+ * @property {string} id - Identifier, unique within its source
+ * @property {string} source - Id of the source adapter (e.g. 'ETH', 'VIS')
+ * @property {Object} content
+ * @property {string} content.title - Single-line title
+ * @property {string} content.description - Plain-text description, may be empty
+ * @property {string|null} content.link-url - Link provided by the organizer
+ * @property {string} content.link-body - Label for that link
+ * @property {Object} location
+ * @property {Object} location.internal
+ * @property {string} location.internal.area-desc - Address or free-text venue
+ * @property {string} location.internal.building - Building code
+ * @property {string} location.internal.room - Room identifier
+ * @property {string} location.internal.addition - Extra venue hint
+ * @property {Object} date-time-indication - Either `in-progress-timerange-array`
+ *   (non-empty array of TimeRange) or ETH `opening-hours`
+ *   ({ date-from, date-to, regular-array })
+ * @property {Object} organizers
+ * @property {Array<{name: string, name-short: string}>} organizers.ou-array
+ * @property {Object} classification
+ * @property {string} classification.entry-type-desc - Event type label
+ * @property {string|null} classification.target-group-desc - Audience label
+ * @property {Price} price - Entrance fee; amount is null when the source does not say
+ *
+ * Source-specific details live under a key named after the source in lower
+ * case (`uzh`, `vis`, `esn`, `vmp`) and are passed through untouched.
+ *
+ * Events merged from several sources by duplicates.js also carry `listings`,
+ * one { source, id, title, url } per source listing the event.
+ */
+
+import { parseSourceDate } from './timezone.js';
+
+/**
+ * Converts a Date, timestamp or date string to an ISO string. Strings without
+ * an offset are read as Zurich time.
+ * @param {Date|string|number|null} value - Date-like value
+ * @returns {string|null} ISO string or null if the value is not a valid date
+ */
+function toIsoString(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = parseSourceDate(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Collapses whitespace in a value and guarantees a string
+ * @param {*} value - Text value
+ * @returns {string} Cleaned string
+ */
+function cleanText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Rounds a price to cents
+ * @param {*} value - Price from a draft
+ * @returns {number|null} Non-negative amount or null if the value is not one
+ */
+function toAmount(value) {
+  const amount = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof amount === 'number' && isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : null;
+}
+
+/**
+ * Normalizes the price of a draft
+ * @param {Object} [price] - Draft price ({ amount, memberAmount, membership, currency })
+ * @returns {Price} Normalized price, unknown when the draft has none
+ */
+function normalizePrice(price) {
+  const memberAmount = toAmount(price?.memberAmount);
+  return {
+    amount: toAmount(price?.amount),
+    memberAmount,
+    membership: memberAmount === null ? null : cleanText(price.membership) || null,
+    currency: cleanText(price?.currency).toUpperCase() || 'CHF'
+  };
+}
+
+/**
+ * Normalizes an event draft into the canonical event model
+ * @param {Object} draft - Event draft returned by a source adapter
+ * @param {Object} source - Source adapter the draft comes from
+ * @returns {Event} Normalized event
+ */
+export function normalizeEvent(draft, source) {
+  const content = draft.content || {};
+  const internal = draft.location?.internal || {};
+  const dateTime = draft['date-time-indication'] || {};
+  const classification = draft.classification || {};
+  const organizers = draft.organizers?.['ou-array']?.length > 0
+    ? draft.organizers['ou-array']
+    : [{ name: source.name, 'name-short': source.id }];
+
+  const normalizedDateTime = { ...dateTime };
+  if (Array.isArray(dateTime['in-progress-timerange-array'])) {
+    normalizedDateTime['in-progress-timerange-array'] = dateTime['in-progress-timerange-array'].map(range => ({
+      ...range,
+      'date-time-from': toIsoString(range['date-time-from']),
+      'date-time-to': toIsoString(range['date-time-to'])
+    }));
+  }
+
+  return {
+    ...draft,
+    id: draft.id === null || draft.id === undefined ? '' : String(draft.id),
+    source: source.id,
+    content: {
+      ...content,
+      title: cleanText(content.title),
+      description: typeof content.description === 'string' ? content.description.trim() : '',
+      'link-url': content['link-url'] || null,
+      'link-body': content['link-body'] || 'More Information'
+    },
+    location: {
+      ...draft.location,
+      internal: {
+        ...internal,
+        'area-desc': cleanText(internal['area-desc']),
+        building: cleanText(internal.building),
+        room: cleanText(internal.room),
+        addition: cleanText(internal.addition)
+      }
+    },
+    'date-time-indication': normalizedDateTime,
+    organizers: { ...draft.organizers, 'ou-array': organizers },
+    classification: {
+      ...classification,
+      'entry-type-desc': classification['entry-type-desc'] || `${source.id} Event`,
+      'target-group-desc': classification['target-group-desc'] || null
+    },
+    price: normalizePrice(draft.price)
+  };
+}
+
+/**
+ * Checks a normalized event against the canonical model
+ * @param {Event} event - Normalized event
+ * @returns {string|null} Reason the event is malformed, or null if it is valid
+ */
+export function validateEvent(event) {
+  if (!event.id) return 'missing id';
+  if (!event.content.title) return 'missing title';
+
+  const dateTime = event['date-time-indication'];
+  const ranges = dateTime['in-progress-timerange-array'];
+
+  if (Array.isArray(ranges) && ranges.length > 0) {
+    for (const range of ranges) {
+      if (!range['date-time-from']) return 'missing or invalid start time';
+      if (!range['date-time-to']) return 'missing or invalid end time';
+      if (range['date-time-to'] < range['date-time-from']) return 'end time before start time';
+    }
+    return null;
+  }
+
+  const openingHours = dateTime['opening-hours'];
+  if (openingHours) {
+    if (!toIsoString(openingHours['date-from']) || !toIsoString(openingHours['date-to'])) {
+      return 'invalid opening-hours date range';
+    }
+    return null;
+  }
+
+  return 'missing date-time-indication';
+}
+
+/**
+ * Normalizes and validates all drafts of a source
+ * @param {Array} drafts - Event drafts returned by a source adapter
+ * @param {Object} source - Source adapter the drafts come from
+ * @returns {{events: Array<Event>, rejected: Array<{id: string, title: string, reason: string}>}}
+ *   Valid events and the reasons malformed ones were rejected
+ */
+export function normalizeEvents(drafts, source) {
+  const events = [];
+  const rejected = [];
+
+  drafts.forEach(draft => {
+    const event = normalizeEvent(draft, source);
+    // The adapter's own checks explain incomplete scrapes better than the generic ones
+    const reason = source.validate?.(event) || validateEvent(event);
+    if (reason) {
+      rejected.push({ id: event.id, title: event.content.title, reason });
+    } else {
+      events.push(event);
+    }
+  });
+
+  return { events, rejected };
+}
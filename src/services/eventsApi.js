@@ -0,0 +1,62 @@
+/**
+ * Client for the aggregation server's JSON events API (see server/index.js)
+ */
+
+const EVENTS_API_ENDPOINT = '/api/events';
+const SOURCES_API_ENDPOINT = '/api/sources';
+
+/**
+ * Fetches all events from the aggregation server
+ * @param {Object} [options] - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array>} One source result (status summary plus events) per source,
+ *   flagged as stale when the service worker answered from its offline cache
+ */
+export async function fetchEventsFromApi({ signal } = {}) {
+  const response = await fetch(EVENTS_API_ENDPOINT, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  const data = await response.json();
+  const stale = response.headers.has('X-Served-From-Cache');
+
+  return data.sources.map(summary => ({
+    ...summary,
+    ...(stale ? { stale } : {}),
+    events: data.events.filter(event => event.source === summary.source)
+  }));
+}
+
+/**
+ * Asks the aggregation server to re-fetch a single source
+ * @param {string} sourceId - Source id
+ * @returns {Promise<Object>} Fresh source result
+ * @throws {Error} With `status`, and `retryAfter` in seconds when the source was refreshed too recently
+ */
+export async function refreshSourceFromApi(sourceId) {
+  const response = await fetch(`${SOURCES_API_ENDPOINT}/${encodeURIComponent(sourceId)}/refresh`, { method: 'POST' });
+  if (!response.ok) {
+    // The server explains refusals, e.g. a source that was refreshed moments ago (429)
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = parseInt(response.headers.get('Retry-After')) || null;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Builds the URL of the subscribable calendar feed for a filter combination
+ * @param {Object} [filters] - Feed filters
+ * @param {Array<string>} [filters.sources] - Source ids, all sources when empty
+ * @param {boolean} [filters.foodOnly] - Only events with food/refreshments
+ * @param {string} [filters.foodConfidence] - Lowest food confidence when foodOnly is set
+ * @returns {string} Absolute feed URL
+ */
+export function getCalendarFeedUrl({ sources = [], foodOnly = false, foodConfidence } = {}) {
+  const url = new URL('/api/calendar.ics', window.location.origin);
+  if (sources.length > 0) url.searchParams.set('source', sources.join(','));
+  if (foodOnly) url.searchParams.set('food', foodConfidence || 'true');
+  return url.toString();
+}
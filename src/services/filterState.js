@@ -0,0 +1,205 @@
+/**
+ * Dashboard filter state in the URL query string, and named filter presets
+ *
+ * Only values that differ from the defaults are written to the URL, so the
+ * plain dashboard address stays clean:
+ *   ?range=week                  date range preset (next 2 weeks by default)
+ *   ?from=2025-03-01&to=...      custom date range, both days included
+ *   ?sources=ETH,VIS             shown sources (all by default)
+ *   ?food=all                    all events instead of food events only
+ *   ?food=maybe                  food events at another confidence level
+ *   ?price=free                  free events only
+ *   ?price=20                    events costing at most CHF 20
+ *   ?price=free&unpriced=show    ... and events with an unknown price
+ *   ?q=pizza                     search text
+ *   ?view=agenda                 timeline view
+ */
+
+import { DATE_RANGE_PRESETS } from './eventService.js';
+import { FOOD_CONFIDENCE_LEVELS, DEFAULT_FOOD_CONFIDENCE } from './foodDetection.js';
+import { TIMELINE_VIEWS } from './timeline.js';
+import { getSources } from './sources/index.js';
+
+const PRESETS_KEY = 'ethEventFilterPresets';
+
+// Query parameters owned by the filter state
+const FILTER_PARAMS = ['range', 'from', 'to', 'sources', 'food', 'price', 'unpriced', 'q', 'view'];
+
+/**
+ * @typedef {Object} FilterState
+ * @property {string} datePreset - Date range preset id or 'custom'
+ * @property {{from: string, to: string}} customRange - Custom range as date input values
+ * @property {Array<string>|null} sources - Shown source ids, null for all sources
+ * @property {boolean} foodOnly - Only show events with food
+ * @property {string} foodConfidence - Minimum food confidence level id
+ * @property {number|null} maxPrice - Highest price shown, 0 for free only, null for any
+ * @property {boolean} includeUnknownPrice - Keep events with an unknown price when maxPrice is set
+ * @property {string} search - Search text
+ * @property {string} viewMode - Timeline view id
+ */
+
+export const DEFAULT_FILTER_STATE = {
+  datePreset: 'next2Weeks',
+  customRange: { from: '', to: '' },
+  sources: null,
+  foodOnly: true,
+  foodConfidence: DEFAULT_FOOD_CONFIDENCE,
+  maxPrice: null,
+  includeUnknownPrice: false,
+  search: '',
+  viewMode: 'columns'
+};
+
+/**
+ * Reads a date parameter
+ * @param {string|null} value - Parameter value
+ * @returns {string} The date as a date input value ("YYYY-MM-DD"), empty if invalid
+ */
+function parseDateParam(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return '';
+  const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  return date.toISOString().slice(0, 10) === value ? value : '';
+}
+
+/**
+ * Reads the filter state from a query string. Missing or invalid parameters
+ * are left out, so the caller keeps its current (or stored) value for them.
+ * @param {string} query - Query string such as window.location.search
+ * @returns {Partial<FilterState>} Filter values present in the query
+ */
+export function parseFilterState(query) {
+  const params = new URLSearchParams(query);
+  const state = {};
+
+  const from = parseDateParam(params.get('from'));
+  const to = parseDateParam(params.get('to'));
+  if (from && to && from <= to) {
+    state.datePreset = 'custom';
+    state.customRange = { from, to };
+  } else if (DATE_RANGE_PRESETS.some(preset => preset.id === params.get('range'))) {
+    state.datePreset = params.get('range');
+  }
+
+  if (params.has('sources')) {
+    const known = getSources().map(source => source.id);
+    const requested = params.get('sources').split(',').map(id => id.trim().toUpperCase());
+    state.sources = known.filter(id => requested.includes(id));
+  }
+
+  const food = params.get('food');
+  if (food === 'all') {
+    state.foodOnly = false;
+  } else if (FOOD_CONFIDENCE_LEVELS.some(level => level.id === food)) {
+    state.foodOnly = true;
+    state.foodConfidence = food;
+  }
+
+  const price = params.get('price');
+  if (price === 'free') {
+    state.maxPrice = 0;
+  } else if (/^\d+(\.\d+)?$/.test(price || '')) {
+    state.maxPrice = Number(price);
+  }
+  if (state.maxPrice !== undefined) state.includeUnknownPrice = params.get('unpriced') === 'show';
+
+  if (params.has('q')) state.search = params.get('q');
+  if (TIMELINE_VIEWS.some(view => view.id === params.get('view'))) state.viewMode = params.get('view');
+  return state;
+}
+
+/**
+ * Writes the filter state into the query parameters of a URL, replacing the
+ * filter parameters it had and keeping any others
+ * @param {FilterState} state - Filter state
+ * @param {string} href - URL to update
+ * @returns {string} Updated URL
+ */
+export function buildFilterUrl(state, href) {
+  const url = new URL(href);
+  FILTER_PARAMS.forEach(param => url.searchParams.delete(param));
+
+  if (state.datePreset === 'custom') {
+    url.searchParams.set('from', state.customRange.from);
+    url.searchParams.set('to', state.customRange.to);
+  } else if (state.datePreset !== DEFAULT_FILTER_STATE.datePreset) {
+    url.searchParams.set('range', state.datePreset);
+  }
+  if (state.sources) url.searchParams.set('sources', state.sources.join(','));
+  if (!state.foodOnly) {
+    url.searchParams.set('food', 'all');
+  } else if (state.foodConfidence !== DEFAULT_FOOD_CONFIDENCE) {
+    url.searchParams.set('food', state.foodConfidence);
+  }
+  if (state.maxPrice !== null && state.maxPrice !== undefined) {
+    url.searchParams.set('price', state.maxPrice === 0 ? 'free' : String(state.maxPrice));
+    if (state.includeUnknownPrice) url.searchParams.set('unpriced', 'show');
+  }
+  if (state.search.trim()) url.searchParams.set('q', state.search.trim());
+  if (state.viewMode !== DEFAULT_FILTER_STATE.viewMode) url.searchParams.set('view', state.viewMode);
+
+  // Commas in the source list read better unescaped
+  return url.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} name - Name chosen by the user
+ * @property {FilterState} state - Saved filter state
+ */
+
+/**
+ * Gets the saved filter presets
+ * @returns {Array<FilterPreset>} Presets in the order they were saved
+ */
+export function getFilterPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]');
+    return Array.isArray(presets) ? presets : [];
+  } catch (error) {
+    console.error('Error reading filter presets from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Stores the filter presets
+ * @param {Array<FilterPreset>} presets - Presets
+ */
+function writeFilterPresets(presets) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.error('Error storing filter presets in localStorage:', error);
+  }
+}
+
+/**
+ * Saves the filter state under a name, replacing a preset of the same name
+ * @param {string} name - Preset name
+ * @param {FilterState} state - Filter state
+ * @returns {Array<FilterPreset>} Updated presets
+ */
+export function saveFilterPreset(name, state) {
+  const presets = getFilterPresets();
+  const preset = { name, state: { ...DEFAULT_FILTER_STATE, ...state } };
+  const index = presets.findIndex(existing => existing.name === name);
+  if (index === -1) {
+    presets.push(preset);
+  } else {
+    presets[index] = preset;
+  }
+  writeFilterPresets(presets);
+  return presets;
+}
+
+/**
+ * Deletes a saved filter preset
+ * @param {string} name - Preset name
+ * @returns {Array<FilterPreset>} Remaining presets
+ */
+export function deleteFilterPreset(name) {
+  const presets = getFilterPresets().filter(preset => preset.name !== name);
+  writeFilterPresets(presets);
+  return presets;
+}
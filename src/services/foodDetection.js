@@ -0,0 +1,412 @@
+/**
+ * Food detection: scores how likely an event serves food or refreshments
+ *
+ * Every food keyword found in the title or description adds points, keywords
+ * that are negated ("no food provided") or part of an unrelated phrase
+ * ("coffee table", "food security") are ignored, hints that an event has no
+ * catering (online, webinar) remove points and the source adapter can add a
+ * prior (`foodPrior`). The score is mapped to a confidence level.
+ *
+ * The keyword lists and custom regular expression rules can be edited by the
+ * user; they are stored in localStorage and fall back to the defaults below.
+ */
+
+import { getSource } from './sources/index.js';
+import { foldText, stripTags } from './text.js';
+
+/**
+ * Default food-related keywords in multiple languages
+ */
+export const DEFAULT_FOOD_KEYWORDS = {
+  // French
+  french: [
+    'apéritif', 'apéro', 'collation', 'buffet', 'cocktail', 'dégustation',
+    'repas', 'dîner', 'déjeuner', 'petit-déjeuner', 'café',
+    'vin d\'honneur', 'réception', 'pause-café'
+  ],
+  // German
+  german: [
+    'apéro', 'aperitif', 'imbiss', 'buffet', 'cocktail', 'verkostung',
+    'abendessen', 'mittagessen', 'frühstück', 'kaffee',
+    'empfang', 'kaffeepause', 'erfrischungen', 'verpflegung',
+    'fingerfood', 'snacks', 'getränke'
+  ],
+  // English
+  english: [
+    'aperitif', 'apéro', 'refreshments', 'buffet', 'cocktail', 'tasting',
+    'food', 'dinner', 'lunch', 'breakfast', 'coffee',
+    'reception', 'coffee break', 'snacks', 'catering',
+    'finger food', 'drinks', 'beverages', 'networking lunch',
+    'wine reception', 'light refreshments'
+  ],
+  // Additional common terms
+  common: [
+    'free food', 'pizza', 'apero riche'
+  ]
+};
+
+// Keywords that often appear without anything being served; worth 1 point instead of 2
+const WEAK_FOOD_KEYWORDS = [
+  'café', 'coffee', 'kaffee', 'cocktail', 'drinks', 'getränke', 'beverages',
+  'reception', 'réception', 'empfang', 'tasting', 'dégustation', 'verkostung'
+];
+
+// Phrases in which a food keyword is not about food being served
+const FOOD_EXCLUSIONS = [
+  'coffee table', 'coffee-table', 'drinking water', 'food security', 'food safety',
+  'food science', 'food systems', 'food system', 'food waste', 'food chain',
+  'food policy', 'food technology', 'food production', 'lunch break', 'mittagspause',
+  'reception desk', 'signal reception', 'cocktail party effect'
+];
+
+// Hints that nobody will be eating at the event
+const NEGATIVE_KEYWORDS = ['online', 'webinar', 'zoom', 'livestream', 'live stream', 'virtual event'];
+
+// Negations right before a keyword ("no food", "ohne Verpflegung", "bring your own lunch")
+const NEGATION_BEFORE = /(?:^|[^\p{L}])(?:no|not|without|kein|keine|keinen|ohne|pas de|pas d'|sans|bring your own|byo)\s+(?:[\p{L}-]+\s+){0,2}$/u;
+
+// Negations right after a keyword ("food will not be provided", "Essen wird nicht angeboten")
+const NEGATION_AFTER = /^[^.!?;\n]{0,30}?(?:not|nicht|pas)\s+(?:be\s+)?(?:provided|served|included|offered|available|angeboten|serviert|inbegriffen|fourni|fournie|servi|servie)/u;
+
+const FOOD_SETTINGS_KEY = 'ethEventFoodKeywords';
+
+const KEYWORD_WEIGHT = 2;
+const WEAK_KEYWORD_WEIGHT = 1;
+const TITLE_BONUS = 1;
+const NEGATIVE_KEYWORD_WEIGHT = -2;
+
+/**
+ * Confidence levels, strongest first, with the minimum score they need
+ */
+export const FOOD_CONFIDENCE_LEVELS = [
+  { id: 'certain', label: 'Certain', minScore: 3 },
+  { id: 'likely', label: 'Likely', minScore: 2 },
+  { id: 'maybe', label: 'Maybe', minScore: 1 }
+];
+
+export const DEFAULT_FOOD_CONFIDENCE = 'likely';
+
+/**
+ * Builds a regular expression matching a folded phrase as whole words
+ * @param {string} phrase - Keyword or phrase
+ * @returns {RegExp} Global, unicode-aware regular expression
+ */
+function wordPattern(phrase) {
+  const escaped = foldText(phrase).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+/**
+ * Finds every whole-word occurrence of some phrases in folded text
+ * @param {string} text - Folded text
+ * @param {Array<string>} phrases - Phrases to look for
+ * @returns {Array<{phrase: string, start: number, end: number}>} Matches
+ */
+function findWords(text, phrases) {
+  const matches = [];
+  phrases.forEach(phrase => {
+    for (const match of text.matchAll(wordPattern(phrase))) {
+      matches.push({ phrase, start: match.index, end: match.index + match[0].length });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Checks whether the keyword at a position is negated within its clause
+ * @param {string} text - Folded text
+ * @param {number} start - Start of the keyword
+ * @param {number} end - End of the keyword
+ * @returns {boolean} True if the keyword is negated
+ */
+function isNegated(text, start, end) {
+  const before = text.slice(Math.max(0, start - 40), start).split(/[.!?;,\n]/).pop();
+  return NEGATION_BEFORE.test(before) || NEGATION_AFTER.test(text.slice(end, end + 80));
+}
+
+/**
+ * Maps a score to a confidence level
+ * @param {number} score - Food score
+ * @returns {string|null} Confidence level id, or null below 'maybe'
+ */
+function getConfidenceForScore(score) {
+  const level = FOOD_CONFIDENCE_LEVELS.find(candidate => score >= candidate.minScore);
+  return level ? level.id : null;
+}
+
+/**
+ * Checks whether a confidence level reaches a threshold
+ * @param {string|null} confidence - Confidence level id of an event
+ * @param {string} minConfidence - Threshold level id
+ * @returns {boolean} True if the confidence is at least the threshold
+ */
+export function meetsFoodConfidence(confidence, minConfidence = DEFAULT_FOOD_CONFIDENCE) {
+  const ids = FOOD_CONFIDENCE_LEVELS.map(level => level.id);
+  const rank = ids.indexOf(confidence);
+  const threshold = ids.indexOf(minConfidence);
+  return rank !== -1 && rank <= (threshold === -1 ? ids.indexOf(DEFAULT_FOOD_CONFIDENCE) : threshold);
+}
+
+const weakKeywords = new Set(WEAK_FOOD_KEYWORDS.map(foldText));
+
+/**
+ * @typedef {Object} FoodRule
+ * @property {string} pattern - Regular expression source, matched case-insensitively
+ * @property {string} [label] - Name shown instead of the pattern
+ */
+
+/**
+ * @typedef {Object} FoodSettings
+ * @property {Object<string, Array<string>>} keywords - Keywords per language
+ * @property {Array<FoodRule>} rules - Custom regular expression rules
+ */
+
+/**
+ * Checks and cleans user food settings
+ * @param {*} settings - Settings, e.g. parsed from an imported file
+ * @returns {FoodSettings} Settings with trimmed, de-duplicated keywords
+ * @throws {Error} When the settings are malformed or a rule is not a valid regular expression
+ */
+export function validateFoodSettings(settings) {
+  if (!settings || typeof settings !== 'object' || !settings.keywords || typeof settings.keywords !== 'object') {
+    throw new Error('Food settings need a "keywords" object');
+  }
+
+  const keywords = {};
+  Object.entries(settings.keywords).forEach(([language, list]) => {
+    if (!Array.isArray(list) || list.some(keyword => typeof keyword !== 'string')) {
+      throw new Error(`Keywords for "${language}" must be a list of strings`);
+    }
+    keywords[language] = [...new Set(list.map(keyword => keyword.trim()).filter(Boolean))];
+  });
+
+  const rules = (settings.rules || []).map(rule => {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new Error('Every rule needs a "pattern"');
+    }
+    try {
+      new RegExp(rule.pattern, 'iu');
+    } catch (error) {
+      throw new Error(`Invalid rule /${rule.pattern}/: ${error.message}`);
+    }
+    return rule.label ? { pattern: rule.pattern, label: String(rule.label) } : { pattern: rule.pattern };
+  });
+
+  return { keywords, rules };
+}
+
+/**
+ * Gets the default food settings
+ * @returns {FoodSettings} Default keywords and no custom rules
+ */
+export function getDefaultFoodSettings() {
+  return validateFoodSettings({ keywords: DEFAULT_FOOD_KEYWORDS, rules: [] });
+}
+
+/**
+ * Reads the stored food settings, falling back to the defaults
+ * @returns {FoodSettings} Food settings
+ */
+function loadFoodSettings() {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(FOOD_SETTINGS_KEY);
+    return stored ? validateFoodSettings(JSON.parse(stored)) : getDefaultFoodSettings();
+  } catch (error) {
+    console.error('Error reading food settings from localStorage:', error);
+    return getDefaultFoodSettings();
+  }
+}
+
+let foodSettings = null;
+
+// Scores per event object, cleared whenever the food settings change
+let scoreCache = new WeakMap();
+
+/**
+ * Gets the food settings in use
+ * @returns {FoodSettings} Food settings
+ */
+export function getFoodSettings() {
+  if (!foodSettings) foodSettings = loadFoodSettings();
+  return foodSettings;
+}
+
+/**
+ * Validates, applies and stores user food settings
+ * @param {FoodSettings} settings - New food settings
+ * @returns {FoodSettings} The cleaned settings now in use
+ * @throws {Error} When the settings are invalid, see validateFoodSettings()
+ */
+export function saveFoodSettings(settings) {
+  foodSettings = validateFoodSettings(settings);
+  scoreCache = new WeakMap();
+  try {
+    localStorage.setItem(FOOD_SETTINGS_KEY, JSON.stringify(foodSettings));
+  } catch (error) {
+    console.error('Error storing food settings in localStorage:', error);
+  }
+  return foodSettings;
+}
+
+/**
+ * Restores the default keywords and removes all custom rules
+ * @returns {FoodSettings} Default food settings
+ */
+export function resetFoodSettings() {
+  return saveFoodSettings(getDefaultFoodSettings());
+}
+
+/**
+ * Serializes food settings for download
+ * @param {FoodSettings} [settings] - Settings to export, the ones in use by default
+ * @returns {string} JSON document
+ */
+export function exportFoodSettings(settings = getFoodSettings()) {
+  return JSON.stringify({ version: 1, ...settings }, null, 2);
+}
+
+/**
+ * Parses an exported food settings file
+ * @param {string} json - JSON document
+ * @returns {FoodSettings} Validated settings, not applied yet
+ * @throws {Error} When the file is not valid JSON or not valid food settings
+ */
+export function parseFoodSettings(json) {
+  let settings;
+  try {
+    settings = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  return validateFoodSettings(settings);
+}
+
+/**
+ * Lists the food keywords of all languages, without spellings that fold to the
+ * same text ('apéro' and 'apero')
+ * @returns {Array<string>} Food keywords
+ */
+function getFoodKeywords() {
+  const byFolded = new Map();
+  Object.values(getFoodSettings().keywords).flat().forEach(keyword => {
+    if (!byFolded.has(foldText(keyword))) byFolded.set(foldText(keyword), keyword);
+  });
+  return [...byFolded.values()];
+}
+
+/**
+ * Finds every match of the custom rules
+ * @param {string} text - Text with the same positions as the folded text
+ * @returns {Array<{phrase: string, start: number, end: number}>} Matches labelled by rule
+ */
+function findRuleMatches(text) {
+  const matches = [];
+  getFoodSettings().rules.forEach(rule => {
+    for (const match of text.matchAll(new RegExp(rule.pattern, 'giu'))) {
+      if (match[0].length === 0) continue;
+      matches.push({ phrase: rule.label || rule.pattern, start: match.index, end: match.index + match[0].length });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Finds the food keywords and rule matches in a text, leaving out matches that
+ * are negated, part of an unrelated phrase or inside a longer match
+ * @param {string} original - Plain text
+ * @returns {{matches: Array<{phrase: string, start: number, end: number}>, negated: Set<string>}}
+ *   Accepted matches with their positions in the text, and the negated keywords
+ */
+function matchFood(original) {
+  // Rules see the original text, keywords the folded one; both have the same positions
+  const text = foldText(original);
+  const exclusions = findWords(text, FOOD_EXCLUSIONS);
+  const candidates = [...findWords(text, getFoodKeywords()), ...findRuleMatches(original)];
+
+  const negated = new Set();
+  const matches = candidates.filter(match => {
+    // "coffee" inside "coffee break" only counts as "coffee break"
+    if (candidates.some(other => other !== match && other.start <= match.start && match.end <= other.end &&
+        other.end - other.start > match.end - match.start)) return false;
+    if (exclusions.some(exclusion => match.start < exclusion.end && exclusion.start < match.end)) return false;
+    if (isNegated(text, match.start, match.end)) {
+      negated.add(match.phrase);
+      return false;
+    }
+    return true;
+  });
+  return { matches, negated };
+}
+
+/**
+ * Finds where food keywords and rules match in a text, e.g. to highlight them
+ * @param {string} text - Plain text
+ * @returns {Array<{start: number, end: number}>} Ranges of the accepted matches, sorted
+ */
+export function findFoodMatches(text) {
+  return matchFood(String(text || '')).matches
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Scores how likely an event serves food
+ * @param {Object} event - Event object
+ * @returns {{score: number, confidence: string|null, keywords: Array<string>, negated: Array<string>, penalties: Array<string>, prior: number}}
+ *   Score, confidence level, matched keywords (strongest first), ignored negated keywords,
+ *   matched negative keywords and the source prior
+ */
+export function scoreEventFood(event) {
+  if (scoreCache.has(event)) return scoreCache.get(event);
+
+  const title = event.content?.title || '';
+  const original = `${title}\n${stripTags(event.content?.description)}`;
+  const { matches, negated } = matchFood(original);
+
+  const found = new Map();
+  matches.forEach(match => {
+    const weight = weakKeywords.has(foldText(match.phrase)) ? WEAK_KEYWORD_WEIGHT : KEYWORD_WEIGHT;
+    const inTitle = match.end <= title.length;
+    const previous = found.get(match.phrase);
+    found.set(match.phrase, { weight, inTitle: inTitle || Boolean(previous?.inTitle) });
+  });
+
+  const penalties = [...new Set(findWords(foldText(original), NEGATIVE_KEYWORDS).map(match => match.phrase))];
+  // Merged duplicates get the strongest prior of the sources listing them
+  const sources = event.listings ? event.listings.map(listing => listing.source) : [event.source];
+  const prior = Math.max(0, ...sources.map(source => getSource(source)?.foodPrior || 0));
+  const matched = [...found.entries()].sort((a, b) => b[1].weight - a[1].weight);
+
+  // Each keyword counts once, however often it is repeated
+  let score = prior + penalties.length * NEGATIVE_KEYWORD_WEIGHT;
+  matched.forEach(([, match]) => { score += match.weight; });
+  if (matched.some(([, match]) => match.inTitle)) score += TITLE_BONUS;
+
+  const result = {
+    score,
+    confidence: getConfidenceForScore(score),
+    keywords: matched.map(([keyword]) => keyword),
+    negated: [...negated].filter(keyword => !found.has(keyword)),
+    penalties,
+    prior
+  };
+  scoreCache.set(event, result);
+  return result;
+}
+
+/**
+ * Triggers a browser download of food settings as a JSON file
+ * @param {FoodSettings} settings - Settings to export
+ * @param {string} filename - File name without extension
+ */
+export function downloadFoodSettings(settings, filename = 'food-keywords') {
+  const blob = new Blob([exportFoodSettings(settings)], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${filename}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
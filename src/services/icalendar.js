@@ -0,0 +1,251 @@
+/**
+ * iCalendar (RFC 5545) export of events
+ */
+
+import { getOfficialEventUrl, formatEventLocation } from './eventService.js';
+import { parseWeekday } from './occurrences.js';
+
+const PRODUCT_ID = '-//events-eth//ETH Events Dashboard//EN';
+const TIMEZONE = 'Europe/Zurich';
+
+// Opening hours are local Zurich times, so the calendar ships the zone definition
+const ZURICH_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Indexed like Date#getUTCDay()
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escapes a text value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets per line
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats an instant as a UTC date-time (e.g. 20251202T170000Z)
+ * @param {Date|string} value - Date or ISO string
+ * @returns {string} iCalendar UTC date-time
+ */
+function formatUtc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats the date part of an ISO date (e.g. 2025-12-02 -> 20251202)
+ * @param {string} value - ISO date or date-time
+ * @returns {string} iCalendar date
+ */
+function formatDate(value) {
+  return String(value).slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Formats a local Zurich date and time (e.g. 20251202T100000)
+ * @param {string} date - ISO date
+ * @param {string} time - Time as HH:MM
+ * @returns {string} iCalendar local date-time
+ */
+function formatLocal(date, time) {
+  const [hours = '00', minutes = '00'] = String(time).split(':');
+  return `${formatDate(date)}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+}
+
+/**
+ * Adds days to an ISO date
+ * @param {string} value - ISO date
+ * @param {number} days - Days to add
+ * @returns {string} iCalendar date
+ */
+function addDays(value, days) {
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date.toISOString());
+}
+
+/**
+ * Finds the first date on or after an ISO date that falls on a weekday, so a
+ * weekly rule does not count the start date as an extra occurrence
+ * @param {string} value - ISO date
+ * @param {number} weekday - Weekday index (0 = Sunday)
+ * @returns {string} ISO date
+ */
+function firstWeekdayOnOrAfter(value, weekday) {
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + (weekday - date.getUTCDay() + 7) % 7);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the properties shared by all VEVENTs of an event
+ * @param {Object} event - Event object
+ * @returns {Array<string>} Content lines
+ */
+function commonProperties(event) {
+  const lines = [`SUMMARY:${escapeText(event.content.title)}`];
+
+  const url = getOfficialEventUrl(event) || event.content['link-url'];
+  const description = (event.content.description || '').replace(/<[^>]*>/g, '').trim();
+  const details = [description, url].filter(Boolean).join('\n\n');
+  if (details) lines.push(`DESCRIPTION:${escapeText(details)}`);
+
+  const location = formatEventLocation(event);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+
+  const organizer = event.organizers?.['ou-array']?.[0];
+  if (organizer) lines.push(`CATEGORIES:${escapeText(organizer['name-short'] || organizer.name)}`);
+
+  return lines;
+}
+
+/**
+ * Builds the VEVENTs of one event: one per time range, or one weekly
+ * recurrence per weekday of ETH opening hours
+ * @param {Object} event - Event object
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ */
+function eventComponents(event, stamp) {
+  const dateTime = event['date-time-indication'] || {};
+  const uidBase = `${event.source}-${event.id}`;
+  const common = commonProperties(event);
+  const components = [];
+
+  const ranges = dateTime['in-progress-timerange-array'] || [];
+  ranges.forEach((range, index) => {
+    components.push([
+      'BEGIN:VEVENT',
+      `UID:${uidBase}-${index}@events-eth`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(range['date-time-from'])}`,
+      `DTEND:${formatUtc(range['date-time-to'] || range['date-time-from'])}`,
+      ...common,
+      'END:VEVENT'
+    ]);
+  });
+
+  const openingHours = dateTime['opening-hours'];
+  if (ranges.length === 0 && openingHours) {
+    const regular = openingHours['regular-array'] || [];
+    const until = `${addDays(openingHours['date-to'], 1)}T000000Z`;
+
+    regular.forEach((hours, index) => {
+      const weekday = parseWeekday(hours['weekday-desc']);
+      if (weekday === null) return;
+      const firstDate = firstWeekdayOnOrAfter(openingHours['date-from'], weekday);
+      components.push([
+        'BEGIN:VEVENT',
+        `UID:${uidBase}-hours-${index}@events-eth`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${TIMEZONE}:${formatLocal(firstDate, hours['time-from'])}`,
+        `DTEND;TZID=${TIMEZONE}:${formatLocal(firstDate, hours['time-to'])}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[weekday]};UNTIL=${until}`,
+        ...common,
+        'END:VEVENT'
+      ]);
+    });
+
+    // Without usable weekly hours the exhibition becomes one all-day span
+    if (components.length === 0) {
+      components.push([
+        'BEGIN:VEVENT',
+        `UID:${uidBase}-span@events-eth`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(openingHours['date-from'])}`,
+        `DTEND;VALUE=DATE:${addDays(openingHours['date-to'], 1)}`,
+        ...common,
+        'END:VEVENT'
+      ]);
+    }
+  }
+
+  return components.flat();
+}
+
+/**
+ * Builds an iCalendar document from events
+ * @param {Array} events - Events to export
+ * @param {Object} [options] - Export options
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @returns {string} iCalendar text
+ */
+export function buildCalendar(events, { name = 'ETH Events' } = {}) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...ZURICH_VTIMEZONE,
+    ...events.flatMap(event => eventComponents(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Downloads events as an .ics file in the browser
+ * @param {Array} events - Events to export
+ * @param {string} filename - File name without extension
+ * @param {Object} [options] - Options passed to buildCalendar()
+ */
+export function downloadCalendar(events, filename, options) {
+  const blob = new Blob([buildCalendar(events, options)], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${filename}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
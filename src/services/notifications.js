@@ -0,0 +1,366 @@
+/**
+ * Browser notifications: reminders for events in the schedule and alerts for
+ * newly fetched events that match the food filter or a saved search
+ *
+ * Notifications are shown through the service worker (public/sw.js) so they
+ * also work on mobile browsers. Where the browser supports notification
+ * triggers, reminders are handed to the service worker and fire even when the
+ * dashboard is closed; otherwise they fire while a dashboard tab is open, and
+ * reminders missed while it was closed are shown on the next visit.
+ */
+
+import { getEventOccurrences } from './occurrences.js';
+import { getOfficialEventUrl, formatOccurrence, searchEvents, eventHasFood } from './eventService.js';
+import { getScheduleEntries, getEventKey } from './schedule.js';
+
+const SETTINGS_KEY = 'ethEventNotifications';
+const SENT_KEY = 'ethEventNotificationsSent';
+// Reminders handed to the browser with a trigger, by key, with the time they are due
+const TRIGGERED_KEY = 'ethEventNotificationsTriggered';
+const SEEN_EVENTS_KEY = 'ethEventSeenEvents';
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2 ** 31 - 1;
+// New event alerts shown one by one before they are summarized
+const MAX_EVENT_ALERTS = 3;
+
+/**
+ * Reminder times offered in the settings, in minutes before the event
+ */
+export const REMINDER_OPTIONS = [
+  { minutes: 7 * 24 * 60, label: '1 week before' },
+  { minutes: 24 * 60, label: '1 day before' },
+  { minutes: 3 * 60, label: '3 hours before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 30, label: '30 minutes before' },
+  { minutes: 10, label: '10 minutes before' }
+];
+
+/**
+ * @typedef {Object} NotificationSettings
+ * @property {Array<number>} reminders - Reminder times in minutes before each event
+ * @property {boolean} foodAlerts - Alert about new events matching the food filter
+ * @property {Array<string>} savedSearches - Alert about new events matching these search queries
+ */
+
+const DEFAULT_SETTINGS = { reminders: [24 * 60, 30], foodAlerts: false, savedSearches: [] };
+
+// Reminder timers of the open tab, replaced on every scheduleReminders()
+let reminderTimers = [];
+// Last scheduleReminders() run, so runs never overlap
+let pendingSchedule = Promise.resolve();
+
+/**
+ * Gets the notification settings
+ * @returns {NotificationSettings} Stored settings merged over the defaults
+ */
+export function getNotificationSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch (error) {
+    console.error('Error reading notification settings from localStorage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Stores the notification settings and reschedules reminders
+ * @param {NotificationSettings} settings - New settings
+ */
+export function saveNotificationSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error storing notification settings in localStorage:', error);
+  }
+  scheduleReminders();
+}
+
+/**
+ * Checks whether this browser can show notifications from a service worker
+ * @returns {boolean} True if notifications are supported
+ */
+export function isNotificationSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Checks whether the user allowed notifications
+ * @returns {boolean} True if notifications may be shown
+ */
+export function canNotify() {
+  return isNotificationSupported() && Notification.permission === 'granted';
+}
+
+/**
+ * Registers the service worker and asks for permission to show notifications
+ * @returns {Promise<string>} Resulting permission: 'granted', 'denied' or 'default'
+ */
+export async function enableNotifications() {
+  if (!isNotificationSupported()) return 'denied';
+  await getServiceWorker();
+  const permission = await Notification.requestPermission();
+  if (permission === 'granted') scheduleReminders();
+  return permission;
+}
+
+/**
+ * Registers the service worker if needed and waits until it is active
+ * @returns {Promise<ServiceWorkerRegistration>} Active registration
+ */
+async function getServiceWorker() {
+  await navigator.serviceWorker.register('/sw.js');
+  return navigator.serviceWorker.ready;
+}
+
+/**
+ * Shows a notification through the service worker
+ * @param {string} title - Notification title
+ * @param {Object} options - Notification options (body, tag, data.url, showTrigger)
+ * @returns {Promise<void>}
+ */
+async function showNotification(title, options) {
+  if (!canNotify()) return;
+  try {
+    const registration = await getServiceWorker();
+    await registration.showNotification(title, { icon: '/vite.svg', ...options });
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+}
+
+/**
+ * Reads the keys of reminders that were already shown
+ * @returns {Object<string, number>} Reminder key to the time it was shown
+ */
+function getSentReminders() {
+  try {
+    return JSON.parse(localStorage.getItem(SENT_KEY) || '{}');
+  } catch (error) {
+    console.error('Error reading sent reminders from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Remembers that reminders were shown, forgetting reminders older than a month
+ * @param {...string} keys - Reminder keys
+ */
+function markReminderSent(...keys) {
+  const monthAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+  const sent = Object.fromEntries(Object.entries(getSentReminders()).filter(([, time]) => time > monthAgo));
+  keys.forEach(key => {
+    sent[key] = Date.now();
+  });
+  try {
+    localStorage.setItem(SENT_KEY, JSON.stringify(sent));
+  } catch (error) {
+    console.error('Error storing sent reminders in localStorage:', error);
+  }
+}
+
+/**
+ * Reads the reminders handed to the browser with a trigger
+ * @returns {Object<string, number>} Reminder key to the time it is due
+ */
+function getTriggeredReminders() {
+  try {
+    return JSON.parse(localStorage.getItem(TRIGGERED_KEY) || '{}');
+  } catch (error) {
+    console.error('Error reading triggered reminders from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Stores the reminders handed to the browser with a trigger
+ * @param {Object<string, number>} triggered - Reminder key to the time it is due
+ */
+function storeTriggeredReminders(triggered) {
+  try {
+    localStorage.setItem(TRIGGERED_KEY, JSON.stringify(triggered));
+  } catch (error) {
+    console.error('Error storing triggered reminders in localStorage:', error);
+  }
+}
+
+/**
+ * Cancels the triggered reminders that have not been delivered yet
+ * @returns {Promise<void>}
+ */
+async function cancelTriggeredReminders() {
+  try {
+    const registration = await getServiceWorker();
+    const notifications = await registration.getNotifications({ includeTriggered: true });
+    notifications
+      .filter(notification => notification.data?.triggeredReminder && notification.data.due > Date.now())
+      .forEach(notification => notification.close());
+  } catch (error) {
+    console.error('Error cancelling reminders:', error);
+  }
+}
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} key - Unique key of the event occurrence and reminder time
+ * @property {Object} event - Event the reminder is about
+ * @property {{start: Date, end: Date}} occurrence - Occurrence the reminder is about
+ * @property {number} minutes - Minutes before the occurrence
+ * @property {Date} time - When the reminder is due
+ */
+
+/**
+ * Lists the reminders of the next occurrence of every scheduled event
+ * @param {Array} entries - Schedule entries, see schedule.js
+ * @param {Array<number>} offsets - Reminder times in minutes before the event
+ * @param {Date} [now] - Current time
+ * @returns {Array<Reminder>} Reminders whose occurrence has not started yet, soonest first
+ */
+export function getReminders(entries, offsets, now = new Date()) {
+  return entries
+    .flatMap(entry => {
+      const [next] = getEventOccurrences(entry.event, { from: now, limit: 1 });
+      if (!next || next.start <= now) return [];
+      return offsets.map(minutes => ({
+        key: `${entry.key}@${next.start.toISOString()}@${minutes}`,
+        event: entry.event,
+        occurrence: next,
+        minutes,
+        time: new Date(next.start.getTime() - minutes * 60 * 1000)
+      }));
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Shows a reminder
+ * @param {Reminder} reminder - Reminder to show
+ * @param {Object} [options] - Extra notification options
+ * @returns {Promise<void>}
+ */
+function showReminder(reminder, options = {}) {
+  const label = REMINDER_OPTIONS.find(option => option.minutes === reminder.minutes)?.label || `${reminder.minutes} minutes before`;
+  return showNotification(reminder.event.content.title, {
+    body: `${formatOccurrence(reminder.occurrence)} · reminder ${label}`,
+    tag: reminder.key,
+    data: { url: getOfficialEventUrl(reminder.event) || '/#/schedule' },
+    ...options
+  });
+}
+
+/**
+ * Schedules the reminders of every event in the schedule, replacing the ones
+ * scheduled before, so removed events and changed reminder times take effect.
+ * Due reminders that were missed are shown at once as long as the event has not started.
+ * @param {Array} [entries] - Schedule entries, read from storage by default
+ * @returns {Promise<void>}
+ */
+export function scheduleReminders(entries = getScheduleEntries()) {
+  pendingSchedule = pendingSchedule
+    .then(() => rescheduleReminders(entries))
+    .catch(error => console.error('Error scheduling reminders:', error));
+  return pendingSchedule;
+}
+
+/**
+ * Replaces the scheduled reminders, see scheduleReminders()
+ * @param {Array} entries - Schedule entries
+ * @returns {Promise<void>}
+ */
+async function rescheduleReminders(entries) {
+  reminderTimers.forEach(clearTimeout);
+  reminderTimers = [];
+  if (!canNotify()) return;
+
+  const now = new Date();
+  const useTriggers = typeof window.TimestampTrigger === 'function';
+  if (useTriggers) {
+    // Triggered reminders that came due were delivered by the browser; the others are replaced
+    const triggered = getTriggeredReminders();
+    const delivered = Object.keys(triggered).filter(key => triggered[key] <= now.getTime());
+    if (delivered.length > 0) markReminderSent(...delivered);
+    await cancelTriggeredReminders();
+  }
+
+  const sent = getSentReminders();
+  const triggered = {};
+  const shown = [];
+  getReminders(entries, getNotificationSettings().reminders, now)
+    .filter(reminder => !sent[reminder.key])
+    .forEach(reminder => {
+      const delay = reminder.time - now;
+      if (delay <= 0) {
+        markReminderSent(reminder.key);
+        shown.push(showReminder(reminder));
+      } else if (useTriggers) {
+        // Delivered by the browser even if no dashboard tab is open; marked as
+        // sent by the first run after it is due
+        triggered[reminder.key] = reminder.time.getTime();
+        shown.push(showReminder(reminder, {
+          showTrigger: new window.TimestampTrigger(reminder.time.getTime()),
+          data: { url: getOfficialEventUrl(reminder.event) || '/#/schedule', triggeredReminder: true, due: reminder.time.getTime() }
+        }));
+      } else if (delay < MAX_TIMEOUT) {
+        reminderTimers.push(setTimeout(() => {
+          markReminderSent(reminder.key);
+          showReminder(reminder);
+        }, delay));
+      }
+    });
+  if (useTriggers) storeTriggeredReminders(triggered);
+  // The next run may only cancel reminders once they are scheduled
+  await Promise.all(shown);
+}
+
+/**
+ * Finds newly fetched events that match the food filter or a saved search
+ * @param {Array} events - Fetched events
+ * @param {Set<string>} seenKeys - Keys of the events fetched before
+ * @param {NotificationSettings} settings - Notification settings
+ * @returns {Array<{event: Object, reason: string}>} Matching new events
+ */
+export function findNewEventAlerts(events, seenKeys, settings) {
+  const newEvents = events.filter(event => !seenKeys.has(getEventKey(event)));
+  return newEvents
+    .map(event => {
+      if (settings.foodAlerts && eventHasFood(event)) return { event, reason: 'Food/refreshments' };
+      const search = settings.savedSearches.find(query => searchEvents([event], query).length > 0);
+      return search ? { event, reason: `Matches "${search}"` } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Alerts about events that were not fetched before and match the food filter
+ * or a saved search. Nothing is shown the first time, when every event is new.
+ * @param {Array} events - Fetched events
+ */
+export function notifyNewEvents(events) {
+  let seen = null;
+  try {
+    const stored = localStorage.getItem(SEEN_EVENTS_KEY);
+    seen = stored ? new Set(JSON.parse(stored)) : null;
+    localStorage.setItem(SEEN_EVENTS_KEY, JSON.stringify(events.map(getEventKey)));
+  } catch (error) {
+    console.error('Error reading seen events from localStorage:', error);
+  }
+
+  const settings = getNotificationSettings();
+  if (!seen || !canNotify() || (!settings.foodAlerts && settings.savedSearches.length === 0)) return;
+
+  const alerts = findNewEventAlerts(events, seen, settings);
+  alerts.slice(0, MAX_EVENT_ALERTS).forEach(({ event, reason }) => {
+    showNotification(`New: ${event.content.title}`, {
+      body: reason,
+      tag: `new-${getEventKey(event)}`,
+      data: { url: getOfficialEventUrl(event) || '/' }
+    });
+  });
+  if (alerts.length > MAX_EVENT_ALERTS) {
+    showNotification(`${alerts.length - MAX_EVENT_ALERTS} more new events`, {
+      body: 'Open the dashboard to see them',
+      tag: 'new-events',
+      data: { url: '/' }
+    });
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Expansion of event date-time indications into concrete occurrences
+ *
+ * Events carry either several explicit time ranges or ETH `opening-hours`
+ * (a date span plus weekly hours, e.g. exhibitions). Both are turned into a
+ * sorted list of { start, end } Date pairs. Opening hours are Zurich times.
+ */
+
+import { SOURCE_TIME_ZONE, getZonedParts, zonedTimeToDate } from './timezone.js';
+
+// Indexed like Date#getDay()
+const WEEKDAY_PREFIXES = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa'];
+
+/**
+ * Parses a weekday description (e.g. "Tuesday", "Tue")
+ * @param {string} description - Weekday description
+ * @returns {number|null} Weekday index (0 = Sunday) or null if unknown
+ */
+export function parseWeekday(description) {
+  const index = WEEKDAY_PREFIXES.indexOf(String(description || '').slice(0, 2).toLowerCase());
+  return index === -1 ? null : index;
+}
+
+/**
+ * Parses the date part of an ISO date as a Zurich midnight
+ * @param {string} value - ISO date or date-time
+ * @returns {Date|null} Midnight in Zurich or null if invalid
+ */
+function parseLocalDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  return zonedTimeToDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+}
+
+/**
+ * Sets the Zurich time of a day from an "HH:MM" string
+ * @param {Date} day - Any time of the day
+ * @param {string} time - Time as HH:MM
+ * @returns {Date} Date at that time
+ */
+function atTime(day, time) {
+  const [hours = 0, minutes = 0] = String(time || '').split(':').map(part => parseInt(part) || 0);
+  const { year, month, day: dayOfMonth } = getZonedParts(day, SOURCE_TIME_ZONE);
+  return zonedTimeToDate(year, month, dayOfMonth, hours, minutes);
+}
+
+/**
+ * Expands an event into its occurrences
+ * @param {Object} event - Event object
+ * @param {Object} [options] - Expansion options
+ * @param {Date} [options.from] - Skip occurrences that ended before this date
+ * @param {Date} [options.to] - Skip occurrences that start after this date
+ * @param {number} [options.limit] - Maximum number of occurrences to return
+ * @returns {Array<{start: Date, end: Date}>} Occurrences sorted by start
+ */
+export function getEventOccurrences(event, { from = null, to = null, limit = Infinity } = {}) {
+  const dateTimeIndicator = event['date-time-indication'];
+  if (!dateTimeIndicator) return [];
+
+  const overlaps = occurrence => (!from || occurrence.end >= from) && (!to || occurrence.start <= to);
+
+  // Explicit time ranges, possibly several for multi-session events
+  const ranges = dateTimeIndicator['in-progress-timerange-array'];
+  if (ranges && ranges.length > 0) {
+    return ranges
+      .map(range => ({
+        start: new Date(range['date-time-from']),
+        end: new Date(range['date-time-to'] || range['date-time-from'])
+      }))
+      .filter(occurrence => !isNaN(occurrence.start.getTime()) && overlaps(occurrence))
+      .sort((a, b) => a.start - b.start)
+      .slice(0, limit);
+  }
+
+  const openingHours = dateTimeIndicator['opening-hours'];
+  if (!openingHours) return [];
+
+  const firstDay = parseLocalDate(openingHours['date-from']);
+  const lastDay = parseLocalDate(openingHours['date-to']);
+  if (!firstDay || !lastDay) return [];
+
+  const weeklyHours = (openingHours['regular-array'] || [])
+    .map(hours => ({
+      weekday: parseWeekday(hours['weekday-desc']),
+      timeFrom: hours['time-from'],
+      timeTo: hours['time-to']
+    }))
+    .filter(hours => hours.weekday !== null)
+    .sort((a, b) => String(a.timeFrom).localeCompare(String(b.timeFrom)));
+
+  // Without weekly hours the whole span counts as one occurrence
+  if (weeklyHours.length === 0) {
+    const span = { start: firstDay, end: atTime(lastDay, '23:59') };
+    return overlaps(span) ? [span] : [];
+  }
+
+  const occurrences = [];
+  let day = from && from > firstDay ? atTime(from, '00:00') : firstDay;
+
+  while (day <= lastDay && (!to || day <= to) && occurrences.length < limit) {
+    const { year, month, day: dayOfMonth, weekday } = getZonedParts(day, SOURCE_TIME_ZONE);
+    weeklyHours
+      .filter(hours => hours.weekday === weekday)
+      .forEach(hours => {
+        const occurrence = { start: atTime(day, hours.timeFrom), end: atTime(day, hours.timeTo) };
+        if (overlaps(occurrence) && occurrences.length < limit) {
+          occurrences.push(occurrence);
+        }
+      });
+    day = zonedTimeToDate(year, month, dayOfMonth + 1);
+  }
+
+  return occurrences;
+}
@@ -0,0 +1,121 @@
+/**
+ * Event prices as they apply to the user
+ *
+ * Events carry a regular price and optionally a reduced member price (see the
+ * Price typedef in eventModel.js). Which one counts depends on the memberships
+ * in the user's profile, e.g. ESN events are cheaper with an ESNcard.
+ */
+
+const PROFILE_KEY = 'ethEventProfile';
+
+/**
+ * Memberships that unlock reduced prices, offered as profile toggles
+ */
+export const MEMBERSHIPS = [
+  { id: 'ESNcard', label: 'I have an ESNcard' }
+];
+
+/**
+ * Maximum prices offered by the price filter, in CHF; null shows every event
+ */
+export const MAX_PRICE_OPTIONS = [
+  { maxPrice: null, label: 'Any price' },
+  { maxPrice: 0, label: 'Free only' },
+  { maxPrice: 10, label: 'Up to CHF 10' },
+  { maxPrice: 20, label: 'Up to CHF 20' }
+];
+
+/**
+ * @typedef {Object} Profile
+ * @property {Array<string>} memberships - Ids of the memberships the user has
+ */
+
+/**
+ * Gets the user's profile
+ * @returns {Profile} Stored profile, or one without memberships
+ */
+export function getProfile() {
+  try {
+    const profile = JSON.parse(localStorage.getItem(PROFILE_KEY) || '{}');
+    return { memberships: Array.isArray(profile.memberships) ? profile.memberships : [] };
+  } catch (error) {
+    console.error('Error reading profile from localStorage:', error);
+    return { memberships: [] };
+  }
+}
+
+/**
+ * Stores the user's profile
+ * @param {Profile} profile - Profile
+ */
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.error('Error storing profile in localStorage:', error);
+  }
+}
+
+/**
+ * Works out what an event costs the user
+ * @param {Object} event - Event object
+ * @param {Array<string>} [memberships] - Memberships the user has
+ * @returns {number|null} Price in the event's currency, 0 if free, null if unknown
+ */
+export function getEventPrice(event, memberships = []) {
+  const { amount = null, memberAmount = null, membership = null } = event.price || {};
+  if (memberAmount !== null && memberships.includes(membership)) {
+    return amount === null ? memberAmount : Math.min(amount, memberAmount);
+  }
+  return amount;
+}
+
+/**
+ * Formats an amount with its currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "CHF 12" or "CHF 7.50"
+ */
+function formatAmount(amount, currency) {
+  return `${currency} ${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+/**
+ * Describes the price of an event for the user
+ * @param {Object} event - Event object
+ * @param {Array<string>} [memberships] - Memberships the user has
+ * @returns {{label: string, detail: string}|null} Short label ("Free", "CHF 10") and a longer
+ *   explanation of member prices, or null if the price is unknown
+ */
+export function describeEventPrice(event, memberships = []) {
+  const { amount = null, memberAmount = null, membership = null, currency = 'CHF' } = event.price || {};
+  const format = value => (value === 0 ? 'Free' : formatAmount(value, currency));
+  const price = getEventPrice(event, memberships);
+
+  if (price === null) {
+    return memberAmount === null ? null : { label: `${format(memberAmount)} with ${membership}`, detail: 'Price without it unknown' };
+  }
+  if (memberAmount === null || memberAmount === amount) return { label: format(price), detail: '' };
+  const detail = memberships.includes(membership)
+    ? `With your ${membership}${amount === null ? '' : `; ${format(amount)} without`}`
+    : `${format(memberAmount)} with ${membership}`;
+  return { label: format(price), detail };
+}
+
+/**
+ * Keeps events that cost the user at most a given price. Events with an
+ * unknown price are left out unless asked for: many of them (talks, VMP
+ * events) are free, but nothing guarantees it.
+ * @param {Array} events - Array of events
+ * @param {number|null} maxPrice - Highest accepted price, 0 for free events, null for any
+ * @param {Array<string>} [memberships] - Memberships the user has
+ * @param {boolean} [includeUnknown] - Whether to keep events with an unknown price
+ * @returns {Array} Filtered events
+ */
+export function filterEventsByPrice(events, maxPrice, memberships = [], includeUnknown = false) {
+  if (maxPrice === null || maxPrice === undefined) return events;
+  return events.filter(event => {
+    const price = getEventPrice(event, memberships);
+    return price === null ? includeUnknown : price <= maxPrice;
+  });
+}
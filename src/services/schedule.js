@@ -0,0 +1,281 @@
+/**
+ * Personal schedule: the events a user registered interest in
+ *
+ * Entries are keyed by source and event id ("VIS:1234") because ids are only
+ * unique within a source. Each entry keeps a snapshot of the event, so the
+ * schedule still shows events that are no longer listed by their source.
+ */
+
+import { getEventOccurrences } from './occurrences.js';
+
+const SCHEDULE_KEY = 'ethEventSchedule';
+// Flat list of event ids written by earlier versions
+const LEGACY_REGISTRATIONS_KEY = 'ethEventRegistrations';
+
+/**
+ * @typedef {Object} ScheduleEntry
+ * @property {string} key - Source-qualified event key, see getEventKey()
+ * @property {string} addedAt - ISO timestamp of the registration
+ * @property {Object} event - Snapshot of the event
+ */
+
+/**
+ * Builds the source-qualified key of an event
+ * @param {Object} event - Event object
+ * @returns {string} Key such as "ETH:123"
+ */
+export function getEventKey(event) {
+  return `${event.source}:${event.id}`;
+}
+
+/**
+ * Lists the keys an event is known by; merged duplicates have one per listing
+ * @param {Object} event - Event object
+ * @returns {Array<string>} Event keys
+ */
+function getEventKeys(event) {
+  return event.listings ? event.listings.map(listing => `${listing.source}:${listing.id}`) : [getEventKey(event)];
+}
+
+/**
+ * Reads a JSON array from localStorage
+ * @param {string} key - Storage key
+ * @returns {Array} Stored array, empty when missing or unreadable
+ */
+function readList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return [];
+  }
+}
+
+/**
+ * Stores the schedule
+ * @param {Array<ScheduleEntry>} entries - Schedule entries
+ */
+function writeSchedule(entries) {
+  try {
+    localStorage.setItem(SCHEDULE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Error storing schedule in localStorage:', error);
+  }
+}
+
+/**
+ * Gets every schedule entry
+ * @returns {Array<ScheduleEntry>} Entries in the order they were added
+ */
+export function getScheduleEntries() {
+  return readList(SCHEDULE_KEY);
+}
+
+/**
+ * Checks if an event is in the schedule
+ * @param {Object} event - Event object
+ * @returns {boolean} True if the user registered interest
+ */
+export function isInSchedule(event) {
+  const keys = getEventKeys(event);
+  return getScheduleEntries().some(entry => keys.includes(entry.key));
+}
+
+/**
+ * Moves registrations stored by id only into the schedule. Ids are only unique
+ * within a source, so an id is claimed when exactly one source lists an event
+ * with it; ambiguous ids and events not listed right now stay stored for a later load.
+ * @param {Array} events - Freshly fetched events, merged duplicates included
+ * @returns {number} Number of migrated registrations
+ */
+export function migrateLegacyRegistrations(events) {
+  const legacy = readList(LEGACY_REGISTRATIONS_KEY);
+  if (legacy.length === 0) return 0;
+
+  // Every listing by id; earlier versions stored the ids as the API returned them, often numbers
+  const listingsById = new Map();
+  events.forEach(event => {
+    const listings = event.listings || [{ source: event.source, id: event.id }];
+    listings.forEach(listing => {
+      const id = String(listing.id);
+      if (!listingsById.has(id)) listingsById.set(id, new Map());
+      listingsById.get(id).set(`${listing.source}:${listing.id}`, event);
+    });
+  });
+
+  const entries = getScheduleEntries();
+  const remaining = [];
+  let migrated = 0;
+  legacy.forEach(id => {
+    const matches = listingsById.get(String(id));
+    if (!matches || matches.size !== 1) {
+      remaining.push(id);
+      return;
+    }
+    const [[key, event]] = matches;
+    if (!entries.some(entry => entry.key === key)) {
+      entries.push({ key, addedAt: new Date().toISOString(), event });
+      migrated++;
+    }
+  });
+  if (remaining.length === legacy.length) return 0;
+
+  writeSchedule(entries);
+  try {
+    localStorage.setItem(LEGACY_REGISTRATIONS_KEY, JSON.stringify(remaining));
+  } catch (error) {
+    console.error('Error updating registrations in localStorage:', error);
+  }
+  return migrated;
+}
+
+/**
+ * Adds an event to the schedule or removes it
+ * @param {Object} event - Event object
+ * @returns {boolean} True if the event is in the schedule afterwards
+ */
+export function toggleScheduleEntry(event) {
+  const keys = getEventKeys(event);
+  const entries = getScheduleEntries();
+  if (entries.some(entry => keys.includes(entry.key))) {
+    writeSchedule(entries.filter(entry => !keys.includes(entry.key)));
+    return false;
+  }
+  writeSchedule([...entries, { key: getEventKey(event), addedAt: new Date().toISOString(), event }]);
+  return true;
+}
+
+/**
+ * Removes an entry from the schedule
+ * @param {string} key - Event key
+ */
+export function removeScheduleEntry(key) {
+  writeSchedule(getScheduleEntries().filter(entry => entry.key !== key));
+}
+
+/**
+ * Refreshes the snapshots of scheduled events that were fetched again
+ * @param {Array} events - Freshly fetched events
+ */
+export function updateScheduleSnapshots(events) {
+  const entries = getScheduleEntries();
+  if (entries.length === 0) return;
+
+  const byKey = new Map();
+  events.forEach(event => getEventKeys(event).forEach(key => byKey.set(key, event)));
+  let changed = false;
+  const updated = entries.map(entry => {
+    const event = byKey.get(entry.key);
+    if (!event || JSON.stringify(event) === JSON.stringify(entry.event)) return entry;
+    changed = true;
+    return { ...entry, event };
+  });
+  if (changed) writeSchedule(updated);
+}
+
+/**
+ * Checks whether two lists of occurrences overlap
+ * @param {Array<{start: Date, end: Date}>} a - Occurrences
+ * @param {Array<{start: Date, end: Date}>} b - Occurrences
+ * @returns {boolean} True if any occurrences overlap
+ */
+function occurrencesOverlap(a, b) {
+  return a.some(first => b.some(second => first.start < second.end && second.start < first.end));
+}
+
+/**
+ * @typedef {Object} ScheduleItem
+ * @property {ScheduleEntry} entry - Schedule entry
+ * @property {Date|null} start - Next occurrence, or the last one of past events
+ * @property {boolean} isPast - True if every occurrence has ended
+ * @property {Array<string>} conflicts - Keys of other upcoming entries overlapping this one
+ */
+
+/**
+ * Orders the schedule chronologically and flags past and overlapping events.
+ * Opening hours and multi-session events are compared session by session.
+ * @param {Array<ScheduleEntry>} entries - Schedule entries
+ * @param {Date} [now] - Current time
+ * @returns {Array<ScheduleItem>} Upcoming events first, soonest first, then past events, latest first
+ */
+export function buildSchedule(entries, now = new Date()) {
+  const items = entries.map(entry => {
+    const upcoming = getEventOccurrences(entry.event, { from: now, limit: 100 });
+    const last = upcoming.length === 0 ? getEventOccurrences(entry.event).pop() : null;
+    return {
+      entry,
+      occurrences: upcoming,
+      start: upcoming[0]?.start || last?.start || null,
+      isPast: upcoming.length === 0
+    };
+  });
+
+  const result = items.map(item => ({
+    entry: item.entry,
+    start: item.start,
+    isPast: item.isPast,
+    conflicts: item.isPast ? [] : items
+      .filter(other => other !== item && !other.isPast && occurrencesOverlap(item.occurrences, other.occurrences))
+      .map(other => other.entry.key)
+  }));
+
+  return result.sort((a, b) => {
+    if (a.isPast !== b.isPast) return a.isPast ? 1 : -1;
+    const direction = a.isPast ? -1 : 1;
+    return direction * ((a.start?.getTime() ?? 0) - (b.start?.getTime() ?? 0));
+  });
+}
+
+/**
+ * Serializes the schedule for download
+ * @returns {string} JSON document
+ */
+export function exportSchedule() {
+  return JSON.stringify({ version: 1, entries: getScheduleEntries() }, null, 2);
+}
+
+/**
+ * Adds the entries of an exported schedule that are not in the schedule yet
+ * @param {string} json - JSON document written by exportSchedule()
+ * @returns {number} Number of entries added
+ * @throws {Error} When the file is not a valid schedule export
+ */
+export function importSchedule(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || !Array.isArray(data.entries)) {
+    throw new Error('The file does not contain schedule entries');
+  }
+
+  const entries = getScheduleEntries();
+  const keys = new Set(entries.map(entry => entry.key));
+  const added = data.entries.filter(entry => {
+    const valid = entry && typeof entry.key === 'string' && entry.event && entry.event.id && entry.event.content?.title;
+    if (!valid || keys.has(entry.key)) return false;
+    keys.add(entry.key);
+    return true;
+  });
+  writeSchedule([...entries, ...added.map(entry => ({ key: entry.key, addedAt: entry.addedAt || new Date().toISOString(), event: entry.event }))]);
+  return added.length;
+}
+
+/**
+ * Triggers a browser download of the schedule as a JSON file
+ * @param {string} filename - File name without extension
+ */
+export function downloadSchedule(filename = 'my-schedule') {
+  const blob = new Blob([exportSchedule()], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${filename}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,251 @@
+/**
+ * ESN Zurich (Erasmus Student Network) source adapter
+ */
+
+import { zonedTimeToDate } from '../timezone.js';
+
+// Served through the Vite proxy declared below
+const ESN_PROXY_PATH = '/api/esn';
+
+/**
+ * Parse ESN date format (e.g., "Wed 3. December 2025 20:00 - 23:55"), in Zurich time
+ * @param {string} dateStr - Date string
+ * @returns {Object|null} Object with startDate and endDate or null
+ */
+export function parseEsnDateString(dateStr) {
+  try {
+    // ESN format: "Wed 3. December 2025 20:00 - 23:55" or "Fri 5. December 2025 07:10 - Sun 7. December 2025 20:25"
+    const monthMap = {
+      'January': 0, 'February': 1, 'March': 2, 'April': 3, 'May': 4, 'June': 5,
+      'July': 6, 'August': 7, 'September': 8, 'October': 9, 'November': 10, 'December': 11
+    };
+    
+    // Try multi-day format first
+    const multiDayMatch = dateStr.match(/\w+\s+(\d+)\.\s+(\w+)\s+(\d{4})\s+(\d{1,2}):(\d{2})\s*-\s*\w+\s+(\d+)\.\s+(\w+)\s+(\d{4})\s+(\d{1,2}):(\d{2})/);
+    if (multiDayMatch) {
+      const startDay = parseInt(multiDayMatch[1]);
+      const startMonth = monthMap[multiDayMatch[2]];
+      const startYear = parseInt(multiDayMatch[3]);
+      const startHour = parseInt(multiDayMatch[4]);
+      const startMinute = parseInt(multiDayMatch[5]);
+      
+      const endDay = parseInt(multiDayMatch[6]);
+      const endMonth = monthMap[multiDayMatch[7]];
+      const endYear = parseInt(multiDayMatch[8]);
+      const endHour = parseInt(multiDayMatch[9]);
+      const endMinute = parseInt(multiDayMatch[10]);
+      
+      return {
+        startDate: zonedTimeToDate(startYear, startMonth, startDay, startHour, startMinute),
+        endDate: zonedTimeToDate(endYear, endMonth, endDay, endHour, endMinute)
+      };
+    }
+    
+    // Try single day format
+    const singleDayMatch = dateStr.match(/\w+\s+(\d+)\.\s+(\w+)\s+(\d{4})\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
+    if (singleDayMatch) {
+      const day = parseInt(singleDayMatch[1]);
+      const month = monthMap[singleDayMatch[2]];
+      const year = parseInt(singleDayMatch[3]);
+      const startHour = parseInt(singleDayMatch[4]);
+      const startMinute = parseInt(singleDayMatch[5]);
+      const endHour = parseInt(singleDayMatch[6]);
+      const endMinute = parseInt(singleDayMatch[7]);
+      
+      return {
+        startDate: zonedTimeToDate(year, month, day, startHour, startMinute),
+        endDate: zonedTimeToDate(year, month, day, endHour, endMinute)
+      };
+    }
+    
+    return null;
+  } catch (error) {
+    console.warn('Error parsing ESN date:', dateStr, error);
+    return null;
+  }
+}
+
+/**
+ * Lists the event ids linked from the ESN listing page
+ * @param {Document} doc - Parsed listing page
+ * @returns {Array<string>} Event ids in page order, without duplicates
+ */
+export function parseListingPage(doc) {
+  // Event links follow the pattern /event/{id}
+  const eventIds = [];
+  doc.querySelectorAll('a[href*="event/"]').forEach(link => {
+    const match = link.getAttribute('href').match(/event\/(\d+)/);
+    if (match && !eventIds.includes(match[1])) {
+      eventIds.push(match[1]);
+    }
+  });
+  return eventIds;
+}
+
+/**
+ * Extracts an event draft from an ESN detail page
+ * @param {Document} eventDoc - Parsed detail page
+ * @param {string} eventId - ESN event id
+ * @returns {Object} ESN event draft
+ */
+export function parseDetailPage(eventDoc, eventId) {
+  // Extract event details from the table structure
+  const tables = eventDoc.querySelectorAll('table');
+  let title = '';
+  let description = '';
+  let dateStr = '';
+  let location = '';
+  let priceWithCard = null;
+  let priceWithoutCard = null;
+  
+  tables.forEach(table => {
+    const rows = table.querySelectorAll('tr');
+    rows.forEach(row => {
+      const cells = row.querySelectorAll('td');
+      if (cells.length >= 2) {
+        const label = cells[0].textContent.trim();
+        const value = cells[1].textContent.trim();
+        
+        if (label === 'When') {
+          dateStr = value;
+        } else if (label === 'Meeting place') {
+          location = value;
+        } else if (label.includes('Entrance') || label.includes('Fee')) {
+          // Parse price: "without ESNcard: CHF 0.00 with ESNcard: CHF 0.00"
+          const withoutMatch = value.match(/without ESNcard:\s*CHF\s*([\d.]+)/);
+          const withMatch = value.match(/with ESNcard:\s*CHF\s*([\d.]+)/);
+          
+          if (withoutMatch) priceWithoutCard = parseFloat(withoutMatch[1]);
+          if (withMatch) priceWithCard = parseFloat(withMatch[1]);
+          // A single "CHF 5.00" applies to everyone
+          if (!withoutMatch && !withMatch) {
+            const priceMatch = value.match(/CHF\s*([\d.]+)/);
+            if (priceMatch) priceWithoutCard = parseFloat(priceMatch[1]);
+          }
+        }
+      } else if (cells.length === 1) {
+        const content = cells[0].textContent.trim();
+        // The title is often in a single-cell row at the top
+        if (!title && content.length > 5 && content.length < 100 && !content.includes('When') && !content.includes('Meeting')) {
+          title = content;
+        }
+        // Description might be in a larger cell
+        if (content.length > 100 && !description) {
+          description = content;
+        }
+      }
+    });
+  });
+  
+  // Also try to get title from h1 or h2
+  if (!title) {
+    const heading = eventDoc.querySelector('h1, h2');
+    if (heading) title = heading.textContent.trim();
+  }
+  
+  // Parse dates
+  const dates = parseEsnDateString(dateStr);
+  
+  return {
+    id: eventId,
+    content: {
+      title: title,
+      description: description.substring(0, 300).trim(),
+      'link-url': `https://zurich.esn.ch/event/${eventId}`
+    },
+    location: {
+      internal: {
+        'area-desc': location
+      }
+    },
+    'date-time-indication': {
+      'in-progress-timerange-array': [{
+        'date-time-from': dates?.startDate,
+        'date-time-to': dates?.endDate
+      }]
+    },
+    classification: {
+      'target-group-desc': 'Exchange Students'
+    },
+    // The ESNcard price only counts for users who have one, see pricing.js
+    price: {
+      amount: priceWithoutCard,
+      memberAmount: priceWithCard,
+      membership: 'ESNcard',
+      currency: 'CHF'
+    },
+    esn: {
+      location: location
+    }
+  };
+}
+
+export default {
+  id: 'ESN',
+  name: 'ESN Zurich - Erasmus Student Network',
+  endpoint: `${ESN_PROXY_PATH}/`,
+  format: 'html',
+  proxy: {
+    path: ESN_PROXY_PATH,
+    target: 'https://zurich.esn.ch'
+  },
+  // Student association events often have food, even when the text does not say so
+  foodPrior: 1,
+  theme: {
+    dot: 'bg-orange-500',
+    header: 'bg-orange-900/30 border-orange-700/50',
+    badge: 'bg-orange-600',
+    summary: 'bg-orange-600/80 border-orange-500'
+  },
+
+  /**
+   * Extracts events from the ESN listing page, following each detail page for prices
+   * @param {Document} doc - Parsed listing page
+   * @param {Object} context - Fetch helpers
+   * @param {Function} context.fetchDocument - Fetches and parses a detail page
+   * @param {Function} context.crawl - Runs detail page fetches with bounded concurrency
+   * @returns {Promise<Array>} Array of ESN event drafts
+   */
+  async parse(doc, { fetchDocument, crawl }) {
+    const eventIds = parseListingPage(doc);
+    const events = [];
+
+    // Fetch the event detail pages concurrently to get the full information including price
+    const pages = await crawl(eventIds, eventId => fetchDocument(`${ESN_PROXY_PATH}/event/${eventId}`));
+    for (const { item: eventId, value: eventDoc, error: fetchError } of pages) {
+      if (fetchError) {
+        // Reported as rejected by validate()
+        events.push({ id: eventId, content: { title: '' }, esn: { error: `detail page failed to load: ${fetchError.message || fetchError}` } });
+        continue;
+      }
+      try {
+        const event = parseDetailPage(eventDoc, eventId);
+        events.push(event);
+        console.log(`Added ESN event: ${event.content.title}`);
+      } catch (error) {
+        console.warn(`Error parsing ESN event ${eventId}:`, error);
+        events.push({ id: eventId, content: { title: '' }, esn: { error: `detail page could not be parsed: ${error.message}` } });
+      }
+    }
+    
+    console.log(`Fetched ${events.filter(event => !event.esn?.error).length} of ${events.length} ESN events`);
+    return events;
+  },
+
+  /**
+   * Reports events whose detail page failed; complete drafts get the default checks
+   * @param {Object} event - Normalized event
+   * @returns {string|null} Reason the event is rejected, or null
+   */
+  validate(event) {
+    return event.esn?.error || null;
+  },
+
+  /**
+   * @param {Object} event - Event object
+   * @returns {string} Event page on zurich.esn.ch
+   */
+  getEventUrl(event) {
+    return `https://zurich.esn.ch/event/${event.id}`;
+  }
+};
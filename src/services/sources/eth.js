@@ -0,0 +1,50 @@
+/**
+ * ETH Zurich source adapter (public PCM events API)
+ */
+
+import { foldText } from '../text.js';
+
+const ETH_API_ENDPOINT = 'https://idapps.ethz.ch/pcm-pub-services/v2/entries?filters[0].min-till-end=0&rs-first=0&rs-size=9999&lang=en&client-id=wcms&filters[0].cals=1&comp-ext=true';
+
+/**
+ * Builds the slug used by ethz.ch event detail pages
+ * @param {string} title - Event title
+ * @returns {string} URL slug
+ */
+function slugifyTitle(title) {
+  return foldText(title)
+    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters except spaces and hyphens
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
+    .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+}
+
+export default {
+  id: 'ETH',
+  name: 'ETH Zurich',
+  endpoint: ETH_API_ENDPOINT,
+  format: 'json',
+  theme: {
+    dot: 'bg-red-500',
+    header: 'bg-red-900/30 border-red-700/50',
+    badge: 'bg-red-600',
+    summary: 'bg-red-600/80 border-red-500'
+  },
+
+  /**
+   * ETH entries are already in the PCM shape of the internal event model
+   * @param {Object} data - API response body
+   * @returns {Array} Array of ETH event drafts
+   */
+  parse(data) {
+    return data['entry-array'] || [];
+  },
+
+  /**
+   * @param {Object} event - Event object
+   * @returns {string} Event page on ethz.ch
+   */
+  getEventUrl(event) {
+    return `https://ethz.ch/en/news-and-events/events/details.${slugifyTitle(event.content.title)}.${event.id}.html`;
+  }
+};
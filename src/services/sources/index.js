@@ -0,0 +1,80 @@
+/**
+ * Registry of event source adapters
+ *
+ * Each adapter is a plain object describing one organisation:
+ * - id: short identifier stored on every event as `event.source`
+ * - name: display name of the organisation
+ * - endpoint: URL of the listing fetched on every refresh
+ * - format: 'json' or 'html', how the endpoint response is decoded
+ * - parse(payload, context): turns the decoded response into event drafts,
+ *   which are normalized and validated by eventModel.js. `context` provides
+ *   fetchDocument(url) and crawl(items, worker) for detail pages
+ * - getEventUrl(event): official page of an event
+ * - theme: Tailwind classes used for the dashboard column
+ * - proxy (optional): { path, target } dev/preview proxy for sites without CORS
+ * - foodPrior (optional): food score every event of this source starts with,
+ *   see foodDetection.js
+ * - crawlOptions (optional): overrides DEFAULT_CRAWL_OPTIONS from crawler.js
+ * - validate(event) (optional): returns why a normalized event is incomplete,
+ *   or null; rejected events are reported with that reason
+ *
+ * HTML adapters also export their page parsers (parseListingPage,
+ * parseDetailPage) so they can be tested on recorded pages.
+ *
+ * Sources are displayed in registration order.
+ */
+
+import eth from './eth.js';
+import uzh from './uzh.js';
+import vis from './vis.js';
+import esn from './esn.js';
+import vmp from './vmp.js';
+
+const REQUIRED_FIELDS = ['id', 'name', 'endpoint', 'format', 'parse', 'getEventUrl', 'theme'];
+
+const registry = new Map();
+
+/**
+ * Registers a source adapter
+ * @param {Object} adapter - Source adapter
+ */
+export function registerSource(adapter) {
+  const missing = REQUIRED_FIELDS.filter(field => !adapter[field]);
+  if (missing.length > 0) {
+    throw new Error(`Source adapter ${adapter.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+  if (registry.has(adapter.id)) {
+    throw new Error(`Source adapter ${adapter.id} is already registered`);
+  }
+  registry.set(adapter.id, adapter);
+}
+
+/**
+ * Gets all registered source adapters
+ * @returns {Array} Source adapters in display order
+ */
+export function getSources() {
+  return [...registry.values()];
+}
+
+/**
+ * Gets a source adapter by id
+ * @param {string} id - Source id (e.g. 'ETH')
+ * @returns {Object|null} Source adapter or null if unknown
+ */
+export function getSource(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Rewrites a proxied path (e.g. '/api/vis/en/events/') to the site behind the
+ * proxy, for fetching outside the Vite dev/preview server
+ * @param {string} url - URL or proxied path
+ * @returns {string} Absolute URL of the proxied site, or the URL unchanged
+ */
+export function resolveProxyUrl(url) {
+  const source = getSources().find(({ proxy }) => proxy && url.startsWith(proxy.path));
+  return source ? source.proxy.target + url.slice(source.proxy.path.length) : url;
+}
+
+[eth, uzh, vis, esn, vmp].forEach(registerSource);
@@ -0,0 +1,91 @@
+/**
+ * University of Zurich source adapter (UZH agenda API)
+ */
+
+const UZH_API_ENDPOINT = 'https://www.webroot.uzh.ch/apps/agenda/api/V5/event/';
+
+/**
+ * Parses a UZH millisecond timestamp string
+ * @param {string} value - Timestamp string
+ * @returns {Date|null} Parsed date or null
+ */
+function parseTimestamp(value) {
+  const timestamp = parseInt(value);
+  return isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+export default {
+  id: 'UZH',
+  name: 'University of Zurich',
+  endpoint: UZH_API_ENDPOINT,
+  format: 'json',
+  theme: {
+    dot: 'bg-blue-500',
+    header: 'bg-blue-900/30 border-blue-700/50',
+    badge: 'bg-blue-600',
+    summary: 'bg-blue-600/80 border-blue-500'
+  },
+
+  /**
+   * Converts the UZH agenda format to the standardized event format
+   * @param {Object} data - API response body
+   * @returns {Array} Array of UZH event drafts
+   */
+  parse(data) {
+    // Check if data has events array
+    if (!data.events || !Array.isArray(data.events)) {
+      throw new Error('UZH API response does not contain events array');
+    }
+    
+    // Convert UZH format to event drafts; malformed entries are rejected during normalization
+    const drafts = data.events.map(uzhEvent => ({
+      id: uzhEvent.id,
+      content: {
+        title: uzhEvent.title,
+        description: uzhEvent.description || '',
+        'link-url': uzhEvent.more || null
+      },
+      location: {
+        internal: {
+          'area-desc': uzhEvent.address,
+          building: uzhEvent.bldg || uzhEvent.building,
+          room: [uzhEvent.room, uzhEvent.room_nr].filter(Boolean).join(' '),
+          addition: ''
+        }
+      },
+      'date-time-indication': {
+        // dtstart/dtend are millisecond timestamps sent as strings
+        'in-progress-timerange-array': [{
+          'date-time-from': parseTimestamp(uzhEvent.dtstart),
+          'date-time-to': parseTimestamp(uzhEvent.dtend)
+        }]
+      },
+      classification: {
+        'target-group-desc': uzhEvent.speaker ? 'Speaker Event' : null
+      },
+      // UZH specific fields
+      uzh: {
+        speaker: uzhEvent.speaker,
+        contact_name: uzhEvent.contact_name,
+        contact_mail: uzhEvent.contact_mail,
+        is_virtual: uzhEvent.is_virtual,
+        virtual_url: uzhEvent.virtual_url,
+        virtual_location: uzhEvent.virtual_location,
+        start_date: uzhEvent.start_date,
+        top: uzhEvent.top,
+        note: uzhEvent.note
+      }
+    }));
+    
+    // Filter out virtual events
+    return drafts.filter(draft => !draft.uzh.is_virtual || draft.uzh.is_virtual === '');
+  },
+
+  /**
+   * @param {Object} event - Event object
+   * @returns {string} Event page in the UZH agenda
+   */
+  getEventUrl(event) {
+    return `https://www.agenda.uzh.ch/en/events/${event.id}`;
+  }
+};
@@ -0,0 +1,315 @@
+/**
+ * VIS (Computer Science student association) source adapter
+ *
+ * The listing page only links to the events; every field is read from the
+ * labelled details of the `/en/events/{id}/` detail page (schema.org JSON-LD
+ * when the page has it). The start and end times on the listing card are only
+ * used when the detail page does not show them.
+ */
+
+import { parseSourceDate, zonedTimeToDate } from '../timezone.js';
+
+// Served through the Vite proxy declared below
+const VIS_PROXY_PATH = '/api/vis';
+
+// Labels of the detail page fields, matched case-insensitively
+const FIELD_LABELS = {
+  start: /^(event )?(start|begin)s?( time)?$|^from$/,
+  end: /^(event )?ends?( time)?$|^until$/,
+  location: /^(location|place|venue|where|room)$/,
+  category: /^(category|event type|type)$/,
+  price: /^(price|cost|fee|entrance|ticket)s?/,
+  registrationStart: /^registration (start|opens?|begins?)/,
+  registrationEnd: /^registration (end|closes?|deadline)|^sign[- ]?up deadline/
+};
+
+/**
+ * Parse date string from VIS format (e.g., "2.12.2025 16:00"), in Zurich time
+ * @param {string} dateStr - Date string
+ * @returns {Date|null} Parsed date or null
+ */
+export function parseDateString(dateStr) {
+  try {
+    // VIS format: "2.12.2025 16:00" or "2.12.2025"
+    const match = dateStr.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})\s*(\d{1,2}):?(\d{2})?/);
+    if (!match) return null;
+    
+    const day = parseInt(match[1]);
+    const month = parseInt(match[2]) - 1; // JS months are 0-indexed
+    const year = parseInt(match[3]);
+    const hour = match[4] ? parseInt(match[4]) : 0;
+    const minute = match[5] ? parseInt(match[5]) : 0;
+    
+    const date = zonedTimeToDate(year, month, day, hour, minute);
+    return isNaN(date.getTime()) ? null : date;
+  } catch (error) {
+    console.warn('Error parsing date:', dateStr, error);
+    return null;
+  }
+}
+
+/**
+ * Collects the labelled fields of a detail page: definition lists, two-cell
+ * table rows and label elements directly followed by their value
+ * @param {Document} doc - Parsed detail page
+ * @returns {Map<string, string>} Lower-case label to value text
+ */
+function readLabelledFields(doc) {
+  const fields = new Map();
+  const add = (label, value) => {
+    const key = (label || '').replace(/\s+/g, ' ').trim().replace(/:$/, '').toLowerCase();
+    const text = (value || '').replace(/\s+/g, ' ').trim();
+    if (key && text && !fields.has(key)) fields.set(key, text);
+  };
+
+  doc.querySelectorAll('dt').forEach(term => {
+    const definition = term.nextElementSibling;
+    if (definition && definition.tagName === 'DD') add(term.textContent, definition.textContent);
+  });
+  doc.querySelectorAll('tr').forEach(row => {
+    const cells = row.querySelectorAll('th, td');
+    if (cells.length === 2) add(cells[0].textContent, cells[1].textContent);
+  });
+  // e.g. <span>Event start time</span><span>2.12.2025 16:00</span>, as on the listing cards
+  doc.querySelectorAll('body *').forEach(element => {
+    if (element.children.length > 0 || !element.nextElementSibling) return;
+    const label = element.textContent.trim().replace(/:$/, '').toLowerCase();
+    if (Object.values(FIELD_LABELS).some(pattern => pattern.test(label))) {
+      add(label, element.nextElementSibling.textContent);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Finds the value of a field by its label
+ * @param {Map<string, string>} fields - Fields from readLabelledFields()
+ * @param {string} name - Key of FIELD_LABELS
+ * @returns {string} Field value, empty if the page has no such field
+ */
+function getField(fields, name) {
+  for (const [label, value] of fields) {
+    if (FIELD_LABELS[name].test(label)) return value;
+  }
+  return '';
+}
+
+/**
+ * Reads the schema.org Event embedded as JSON-LD, if the page has one
+ * @param {Document} doc - Parsed detail page
+ * @returns {Object|null} JSON-LD event
+ */
+function readJsonLdEvent(doc) {
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const found = [data, ...(data['@graph'] || [])].flat().find(item => /Event$/.test(item?.['@type'] || ''));
+      if (found) return found;
+    } catch (error) {
+      console.warn('Error parsing VIS JSON-LD:', error);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a price such as "CHF 5.00", "Fr. 5.-", "5 CHF" or "Free". Only
+ * numbers next to a currency count, so dates and room numbers are not prices.
+ * @param {string|number} value - Price text
+ * @returns {number|null} Price in CHF, 0 for free events, null if unknown
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  if (!value) return null;
+  if (/free|gratis|kostenlos|no charge/i.test(value)) return 0;
+  const match = value.match(/(?:CHF|Fr\.|SFr\.?)\s*(\d+(?:[.,]\d{1,2})?)|(\d+(?:[.,]\d{1,2})?)\s*(?:CHF|Fr\.)/i);
+  if (match) return parseFloat((match[1] || match[2]).replace(',', '.'));
+  // A bare number is only trusted in a field labelled as the price
+  return /^\d+(?:[.,]\d{1,2})?(?:\.-)?$/.test(value.trim()) ? parseFloat(value.replace(',', '.')) : null;
+}
+
+/**
+ * Parses a detail page date, either VIS text ("2.12.2025 16:00") or ISO 8601 from JSON-LD
+ * @param {string} value - Date text
+ * @returns {Date|null} Parsed date or null
+ */
+function parseDetailDate(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = parseSourceDate(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return parseDateString(value);
+}
+
+/**
+ * Reads the start and end time shown on a listing card
+ * @param {Element} card - Event link on the listing page
+ * @returns {{title: string, start: Date|null, end: Date|null}} Card details
+ */
+function readListingCard(card) {
+  const lines = (card.textContent || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const valueAfter = label => {
+    const index = lines.findIndex(line => line.includes(label));
+    return index === -1 ? null : parseDateString(lines[index + 1] || '');
+  };
+  const heading = card.querySelector('h1, h2, h3, h4, h5, h6');
+  return {
+    title: heading ? heading.textContent.trim() : '',
+    start: valueAfter('Event start time'),
+    end: valueAfter('Event end time')
+  };
+}
+
+/**
+ * Reads the events linked from the VIS listing page
+ * @param {Document} doc - Parsed listing page
+ * @returns {Map<string, Object>} Listing card details from readListingCard(), keyed by event id
+ */
+export function parseListingPage(doc) {
+  // Event links follow the pattern /en/events/{id}/
+  const cards = new Map();
+  doc.querySelectorAll('a[href*="/en/events/"]').forEach(link => {
+    const match = link.getAttribute('href').match(/\/en\/events\/(\d+)\//);
+    if (match && !cards.has(match[1])) cards.set(match[1], readListingCard(link));
+  });
+  return cards;
+}
+
+/**
+ * Extracts an event draft from a detail page
+ * @param {Document} doc - Parsed detail page
+ * @param {string} eventId - VIS event id
+ * @param {Object} [card] - Listing card details from readListingCard()
+ * @returns {Object} VIS event draft
+ */
+export function parseDetailPage(doc, eventId, card = { title: '', start: null, end: null }) {
+  const jsonLd = readJsonLdEvent(doc) || {};
+  const fields = readLabelledFields(doc);
+
+  const heading = doc.querySelector('h1');
+  const title = (jsonLd.name || heading?.textContent || '').replace(/\s+/g, ' ').trim();
+
+  const descriptionElement = doc.querySelector('[itemprop="description"], .event-description, .description');
+  const metaDescription = doc.querySelector('meta[property="og:description"], meta[name="description"]');
+  const description = (jsonLd.description || descriptionElement?.textContent || metaDescription?.getAttribute('content') || '').trim();
+
+  const jsonLdLocation = [jsonLd.location?.name, jsonLd.location?.address?.streetAddress || (typeof jsonLd.location?.address === 'string' ? jsonLd.location.address : '')]
+    .filter(Boolean)
+    .join(', ');
+  const location = jsonLdLocation || getField(fields, 'location');
+  const category = getField(fields, 'category');
+  const price = parsePrice(jsonLd.offers?.price ?? getField(fields, 'price'));
+
+  const start = parseDetailDate(jsonLd.startDate || getField(fields, 'start')) || card.start;
+  const end = parseDetailDate(jsonLd.endDate || getField(fields, 'end')) || card.end;
+  const registrationStart = parseDetailDate(getField(fields, 'registrationStart'));
+  const registrationEnd = parseDetailDate(getField(fields, 'registrationEnd'));
+
+  return {
+    id: eventId,
+    content: {
+      title,
+      description,
+      'link-url': `https://vis.ethz.ch/en/events/${eventId}/`
+    },
+    location: {
+      internal: {
+        'area-desc': location
+      }
+    },
+    'date-time-indication': {
+      'in-progress-timerange-array': [{
+        'date-time-from': start,
+        'date-time-to': end
+      }]
+    },
+    classification: {
+      'entry-type-desc': category
+    },
+    price: {
+      amount: price,
+      currency: jsonLd.offers?.priceCurrency || 'CHF'
+    },
+    vis: {
+      category,
+      registration: {
+        start: registrationStart ? registrationStart.toISOString() : null,
+        end: registrationEnd ? registrationEnd.toISOString() : null
+      }
+    }
+  };
+}
+
+export default {
+  id: 'VIS',
+  name: 'VIS - Association of Computer Science Students at ETH',
+  endpoint: `${VIS_PROXY_PATH}/en/events/`,
+  format: 'html',
+  proxy: {
+    path: VIS_PROXY_PATH,
+    target: 'https://vis.ethz.ch'
+  },
+  // Student association events often have food, even when the text does not say so
+  foodPrior: 1,
+  theme: {
+    dot: 'bg-green-500',
+    header: 'bg-green-900/30 border-green-700/50',
+    badge: 'bg-green-600',
+    summary: 'bg-green-600/80 border-green-500'
+  },
+
+  /**
+   * Extracts events from the VIS listing page, following each detail page
+   * @param {Document} doc - Parsed listing page
+   * @param {Object} context - Fetch helpers
+   * @param {Function} context.fetchDocument - Fetches and parses a detail page
+   * @param {Function} context.crawl - Runs detail page fetches with bounded concurrency
+   * @returns {Promise<Array>} Array of VIS event drafts
+   */
+  async parse(doc, { fetchDocument, crawl }) {
+    const cards = parseListingPage(doc);
+    const events = [];
+    const pages = await crawl([...cards.keys()], eventId => fetchDocument(`${VIS_PROXY_PATH}/en/events/${eventId}/`));
+    for (const { item: eventId, value: eventDoc, error: fetchError } of pages) {
+      const card = cards.get(eventId);
+      if (fetchError) {
+        // Reported as rejected by validate()
+        events.push({ id: eventId, content: { title: card.title }, vis: { error: `detail page failed to load: ${fetchError.message || fetchError}` } });
+        continue;
+      }
+      try {
+        events.push(parseDetailPage(eventDoc, eventId, card));
+      } catch (error) {
+        console.warn(`Error parsing VIS event ${eventId}:`, error);
+        events.push({ id: eventId, content: { title: card.title }, vis: { error: `detail page could not be parsed: ${error.message}` } });
+      }
+    }
+
+    return events;
+  },
+
+  /**
+   * Explains why a VIS event is incomplete
+   * @param {Object} event - Normalized event
+   * @returns {string|null} Reason the event is rejected, or null if it is complete
+   */
+  validate(event) {
+    if (event.vis?.error) return event.vis.error;
+    const range = event['date-time-indication']['in-progress-timerange-array']?.[0] || {};
+    const missing = [
+      !event.content.title && 'title',
+      !range['date-time-from'] && 'start time',
+      !range['date-time-to'] && 'end time'
+    ].filter(Boolean);
+    return missing.length > 0 ? `missing ${missing.join(', ')} on the detail page` : null;
+  },
+
+  /**
+   * @param {Object} event - Event object
+   * @returns {string} Event page on vis.ethz.ch
+   */
+  getEventUrl(event) {
+    return `https://vis.ethz.ch/en/events/${event.id}/`;
+  }
+};
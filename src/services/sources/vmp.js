@@ -0,0 +1,239 @@
+/**
+ * VMP (Physics student association) source adapter
+ */
+
+import { zonedTimeToDate } from '../timezone.js';
+
+// Served through the Vite proxy declared below
+const VMP_PROXY_PATH = '/api/vmp';
+
+/**
+ * Parse VMP date format (e.g., "Dec. 3, 2025, 6 p.m."), in Zurich time
+ * @param {string} dateStr - Date string
+ * @param {string} durationStr - Duration string (e.g., "4:00:00")
+ * @returns {Object|null} Object with startDate and endDate or null
+ */
+export function parseVmpDateString(dateStr, durationStr) {
+  try {
+    // VMP format: "Dec. 3, 2025, 6 p.m." with duration "4:00:00". Like Django it writes
+    // short months with a dot but "March" to "July" in full, and "noon"/"midnight" without an hour
+    const monthMap = {
+      'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
+      'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
+    };
+    
+    // Match pattern: "Dec. 3, 2025, 6 p.m.", "June 10, 2025, 6:30 a.m." or "Sept. 1, 2025, noon"
+    const match = dateStr.match(/([A-Za-z]+)\.?\s+(\d+),\s+(\d{4}),\s+(?:(\d+)(?::(\d+))?\s*(a\.m\.|p\.m\.)?|(noon|midnight))/i);
+    if (!match) return null;
+    
+    const monthAbbr = match[1].slice(0, 3);
+    const day = parseInt(match[2]);
+    const year = parseInt(match[3]);
+    const namedTime = match[7] ? match[7].toLowerCase() : null;
+    let hour = namedTime ? (namedTime === 'noon' ? 12 : 0) : parseInt(match[4]);
+    const minute = match[5] ? parseInt(match[5]) : 0;
+    const period = match[6];
+    
+    const month = monthMap[monthAbbr];
+    if (month === undefined) return null;
+    
+    // Convert to 24-hour format
+    if (period && period.toLowerCase().includes('p.m.') && hour !== 12) {
+      hour += 12;
+    } else if (period && period.toLowerCase().includes('a.m.') && hour === 12) {
+      hour = 0;
+    }
+    
+    const startDate = zonedTimeToDate(year, month, day, hour, minute);
+    
+    // Parse duration to calculate end date
+    let endDate = new Date(startDate);
+    if (durationStr) {
+      const durationMatch = durationStr.match(/(\d+):(\d+):(\d+)/);
+      if (durationMatch) {
+        const durationHours = parseInt(durationMatch[1]);
+        const durationMinutes = parseInt(durationMatch[2]);
+        const durationSeconds = parseInt(durationMatch[3]);
+        
+        endDate = new Date(startDate.getTime() + 
+          (durationHours * 60 * 60 * 1000) + 
+          (durationMinutes * 60 * 1000) + 
+          (durationSeconds * 1000));
+      }
+    } else {
+      // Default to 2 hours if no duration specified
+      endDate = new Date(startDate.getTime() + (2 * 60 * 60 * 1000));
+    }
+    
+    return {
+      startDate: startDate,
+      endDate: endDate
+    };
+  } catch (error) {
+    console.warn('Error parsing VMP date:', dateStr, error);
+    return null;
+  }
+}
+
+/**
+ * Lists the event slugs linked from the VMP listing page
+ * @param {Document} doc - Parsed listing page
+ * @returns {Array<string>} Event slugs in page order, without duplicates
+ */
+export function parseListingPage(doc) {
+  // Event links follow the pattern /en/events/{slug}/
+  const eventSlugs = [];
+  doc.querySelectorAll('a[href*="/en/events/"]').forEach(link => {
+    const match = link.getAttribute('href').match(/\/en\/events\/([^/]+)\/?$/);
+    if (match && match[1] !== 'alle_events' && match[1] !== 'meine_events' && 
+        match[1] !== 'helper-recruitment' && !eventSlugs.includes(match[1])) {
+      eventSlugs.push(match[1]);
+    }
+  });
+  return eventSlugs;
+}
+
+/**
+ * Extracts an event draft from a VMP detail page
+ * @param {Document} eventDoc - Parsed detail page
+ * @param {string} slug - VMP event slug
+ * @returns {Object} VMP event draft
+ */
+export function parseDetailPage(eventDoc, slug) {
+  // Extract event details
+  let title = '';
+  let description = '';
+  let dateStr = '';
+  let durationStr = '';
+  
+  // Get title from h1
+  const heading = eventDoc.querySelector('h1');
+  if (heading) title = heading.textContent.trim();
+  
+  // Get description from the paragraph text
+  const paragraphs = eventDoc.querySelectorAll('p');
+  let descParts = [];
+  paragraphs.forEach(p => {
+    const text = p.textContent.trim();
+    if (text && !text.includes('Please login') && !text.includes('Duration:') && 
+        !text.toLowerCase().includes('dec.') && !text.toLowerCase().includes('jan.') &&
+        !text.toLowerCase().includes('feb.') && text.length > 20) {
+      descParts.push(text);
+    }
+  });
+  description = descParts.join(' ');
+  
+  // Look for date and duration in the text
+  const bodyText = eventDoc.body.textContent;
+  
+  // Find date pattern: "Dec. 3, 2025, 6 p.m."
+  const dateMatch = bodyText.match(/([A-Za-z]+\.?\s+\d+,\s+\d{4},\s+(?:\d+(?::\d+)?\s*(?:a\.m\.|p\.m\.)?|noon|midnight))/i);
+  if (dateMatch) {
+    dateStr = dateMatch[1];
+  }
+  
+  // Find duration pattern: "Duration: 4:00:00"
+  const durationMatch = bodyText.match(/Duration:\s*(\d+:\d+:\d+)/);
+  if (durationMatch) {
+    durationStr = durationMatch[1];
+  }
+  
+  // Parse dates
+  const dates = parseVmpDateString(dateStr, durationStr);
+  
+  // Prices are only shown after logging in, so they stay unknown
+  
+  return {
+    id: slug,
+    content: {
+      title: title,
+      description: description.substring(0, 300).trim(),
+      'link-url': `https://vmp.ethz.ch/en/events/${slug}/`
+    },
+    'date-time-indication': {
+      'in-progress-timerange-array': [{
+        'date-time-from': dates?.startDate,
+        'date-time-to': dates?.endDate
+      }]
+    },
+    classification: {
+      'target-group-desc': 'Physics Students'
+    },
+    vmp: {
+      slug: slug,
+      duration: durationStr
+    }
+  };
+}
+
+export default {
+  id: 'VMP',
+  name: 'VMP - Physics Association at ETH',
+  endpoint: `${VMP_PROXY_PATH}/en/events/alle_events`,
+  format: 'html',
+  proxy: {
+    path: VMP_PROXY_PATH,
+    target: 'https://vmp.ethz.ch'
+  },
+  // Student association events often have food, even when the text does not say so
+  foodPrior: 1,
+  theme: {
+    dot: 'bg-pink-500',
+    header: 'bg-pink-900/30 border-pink-700/50',
+    badge: 'bg-pink-600',
+    summary: 'bg-pink-600/80 border-pink-500'
+  },
+
+  /**
+   * Extracts events from the VMP listing page, following each detail page
+   * @param {Document} doc - Parsed listing page
+   * @param {Object} context - Fetch helpers
+   * @param {Function} context.fetchDocument - Fetches and parses a detail page
+   * @param {Function} context.crawl - Runs detail page fetches with bounded concurrency
+   * @returns {Promise<Array>} Array of VMP event drafts
+   */
+  async parse(doc, { fetchDocument, crawl }) {
+    const eventSlugs = parseListingPage(doc);
+    const events = [];
+    
+    console.log(`Found ${eventSlugs.length} VMP events to fetch`);
+    
+    // Fetch the event detail pages concurrently to get the full information
+    const pages = await crawl(eventSlugs, slug => fetchDocument(`${VMP_PROXY_PATH}/en/events/${slug}/`));
+    for (const { item: slug, value: eventDoc, error: fetchError } of pages) {
+      if (fetchError) {
+        // Reported as rejected by validate()
+        events.push({ id: slug, content: { title: '' }, vmp: { error: `detail page failed to load: ${fetchError.message || fetchError}` } });
+        continue;
+      }
+      try {
+        const event = parseDetailPage(eventDoc, slug);
+        events.push(event);
+        console.log(`Added VMP event: ${event.content.title}`);
+      } catch (error) {
+        console.warn(`Error parsing VMP event ${slug}:`, error);
+        events.push({ id: slug, content: { title: '' }, vmp: { error: `detail page could not be parsed: ${error.message}` } });
+      }
+    }
+    
+    console.log(`Fetched ${events.filter(event => !event.vmp?.error).length} of ${events.length} VMP events`);
+    return events;
+  },
+
+  /**
+   * Reports events whose detail page failed; complete drafts get the default checks
+   * @param {Object} event - Normalized event
+   * @returns {string|null} Reason the event is rejected, or null
+   */
+  validate(event) {
+    return event.vmp?.error || null;
+  },
+
+  /**
+   * @param {Object} event - Event object
+   * @returns {string} Event page on vmp.ethz.ch
+   */
+  getEventUrl(event) {
+    return `https://vmp.ethz.ch/en/events/${event.id}/`;
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Text helpers shared by URL slugs, search and highlighting
+ */
+
+// Letters whose accent is not a separate combining mark in NFD
+const SPECIAL_FOLDS = { 'ø': 'o', 'ł': 'l', 'đ': 'd' };
+
+/**
+ * Lowercases a single character and strips its accents
+ * @param {string} char - Single character
+ * @returns {string} Folded character, with the same length as the input
+ */
+function foldChar(char) {
+  const lower = char.toLowerCase();
+  const folded = SPECIAL_FOLDS[lower] || lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  // Keep positions aligned with the original text for highlighting
+  return folded.length === char.length ? folded : char;
+}
+
+/**
+ * Lowercases text and strips accents (é -> e, ü -> u, ç -> c) without changing
+ * its length, so indexes found in folded text are valid in the original
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+  let folded = '';
+  for (const char of String(text || '')) {
+    folded += foldChar(char);
+  }
+  return folded;
+}
+
+/**
+ * Removes HTML tags and collapses whitespace
+ * @param {string} html - HTML or plain text
+ * @returns {string} Plain text
+ */
+export function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds every occurrence of some terms in a text, ignoring case and accents
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Terms to look for (folded or not)
+ * @returns {Array<{start: number, end: number}>} Non-overlapping ranges in the original text, sorted
+ */
+export function findMatches(text, terms) {
+  const folded = foldText(text);
+  const ranges = [];
+
+  terms.map(foldText).filter(Boolean).forEach(term => {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = folded.indexOf(term, index + term.length);
+    }
+  });
+
+  // Merge overlapping ranges so they can be wrapped without nesting
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Splits text into plain and highlighted segments so it can be rendered with
+ * text interpolation instead of v-html
+ * @param {string} text - Plain text
+ * @param {Array<{start: number, end: number, kind: string}>} ranges - Ranges to highlight,
+ *   most important first; a range overlapping an earlier one is dropped
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxLength] - Cut the text after this many characters, but never inside a highlight
+ * @returns {{segments: Array<{text: string, kind: string|null}>, truncated: boolean}} Segments in text order
+ */
+export function highlightSegments(text, ranges, { maxLength = Infinity } = {}) {
+  const source = String(text || '');
+  const accepted = [];
+  ranges.forEach(range => {
+    if (range.start >= range.end) return;
+    if (accepted.some(other => range.start < other.end && other.start < range.end)) return;
+    accepted.push(range);
+  });
+  accepted.sort((a, b) => a.start - b.start);
+
+  // Move the cut behind a highlight it would split
+  let length = Math.min(source.length, maxLength);
+  const split = accepted.find(range => range.start < length && length < range.end);
+  if (split) length = split.end;
+
+  const segments = [];
+  let position = 0;
+  accepted.filter(range => range.start < length).forEach(range => {
+    if (range.start > position) segments.push({ text: source.slice(position, range.start), kind: null });
+    segments.push({ text: source.slice(range.start, range.end), kind: range.kind });
+    position = range.end;
+  });
+  if (position < length) segments.push({ text: source.slice(position, length), kind: null });
+
+  return { segments, truncated: length < source.length };
+}
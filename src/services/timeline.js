@@ -0,0 +1,194 @@
+/**
+ * Helpers for the merged timeline views (agenda, week grid, month calendar)
+ *
+ * Events are expanded into their occurrences within the shown date range so
+ * multi-session events and ETH opening hours appear on every day they happen.
+ * Days are split in the display time zone.
+ */
+
+import { getEventOccurrences } from './occurrences.js';
+import { formatDateInput } from './eventService.js';
+import { getDisplayTimeZone, getZonedParts, zonedTimeToDate, startOfZonedDay, addZonedDays } from './timezone.js';
+
+export const TIMELINE_VIEWS = [
+  { id: 'columns', label: 'Columns' },
+  { id: 'agenda', label: 'Agenda' },
+  { id: 'week', label: 'Week' },
+  { id: 'month', label: 'Month' }
+];
+
+// Hours shown in the week grid; earlier or later sessions are clamped to it
+export const WEEK_GRID_HOURS = { start: 7, end: 23 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {Object} event - Event the occurrence belongs to
+ * @property {Date} start - Start of the occurrence
+ * @property {Date} end - End of the occurrence
+ */
+
+/**
+ * Returns midnight of a day
+ * @param {Date} date - Any time of the day
+ * @returns {Date} Start of that day
+ */
+export function startOfDay(date) {
+  return startOfZonedDay(date);
+}
+
+/**
+ * Moves a date by whole calendar days, keeping the wall-clock time across DST changes
+ * @param {Date} date - Date
+ * @param {number} days - Days to add, may be negative
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+  return addZonedDays(date, days);
+}
+
+/**
+ * Returns the Monday starting the week of a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight of that Monday
+ */
+export function startOfWeek(date) {
+  const day = startOfDay(date);
+  return addDays(day, -((getZonedParts(day).weekday + 6) % 7));
+}
+
+/**
+ * Lists the occurrences of some events within a date range
+ * @param {Array} events - Array of events
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array<TimelineEntry>} Occurrences sorted by start
+ */
+export function listOccurrences(events, from, to) {
+  return events
+    .flatMap(event => getEventOccurrences(event, { from, to, limit: 500 }).map(occurrence => ({ event, ...occurrence })))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Checks whether an occurrence happens on a given day
+ * @param {TimelineEntry} entry - Occurrence
+ * @param {Date} day - Midnight of the day
+ * @returns {boolean} True if the occurrence overlaps the day
+ */
+function isOnDay(entry, day) {
+  return entry.start < addDays(day, 1) && entry.end > day;
+}
+
+/**
+ * Groups occurrences by the day they start on, for the agenda. Occurrences
+ * that started before the range are listed on its first day.
+ * @param {Array<TimelineEntry>} entries - Occurrences sorted by start
+ * @param {Date} from - Start of the range
+ * @returns {Array<{key: string, date: Date, entries: Array<TimelineEntry>}>} Days with occurrences, in order
+ */
+export function groupByDay(entries, from) {
+  const days = new Map();
+  entries.forEach(entry => {
+    const date = startOfDay(entry.start < from ? from : entry.start);
+    const key = formatDateInput(date);
+    if (!days.has(key)) days.set(key, { key, date, entries: [] });
+    days.get(key).entries.push(entry);
+  });
+  return [...days.values()].sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Splits a date range into whole weeks (Monday to Sunday)
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array<Array<Date>>} Weeks of seven days, at midnight
+ */
+export function getWeeks(from, to) {
+  const weeks = [];
+  for (let monday = startOfWeek(from); monday <= to; monday = addDays(monday, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, index) => addDays(monday, index)));
+  }
+  return weeks;
+}
+
+/**
+ * Splits a date range into month calendars
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array<{key: string, label: string, month: number, weeks: Array<Array<Date>>}>} Months
+ *   with the weeks shown in their calendar grid
+ */
+export function getMonths(from, to) {
+  const timeZone = getDisplayTimeZone();
+  const { year, month } = getZonedParts(from, timeZone);
+  const months = [];
+  for (let offset = 0; ; offset++) {
+    const first = zonedTimeToDate(year, month + offset, 1, 0, 0, timeZone);
+    if (first > to) break;
+    const last = zonedTimeToDate(year, month + offset + 1, 0, 0, 0, timeZone);
+    months.push({
+      key: formatDateInput(first),
+      label: first.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone }),
+      month: getZonedParts(first, timeZone).month,
+      weeks: getWeeks(first, last)
+    });
+  }
+  return months;
+}
+
+/**
+ * Lists the occurrences happening on a day
+ * @param {Array<TimelineEntry>} entries - Occurrences
+ * @param {Date} day - Midnight of the day
+ * @returns {Array<TimelineEntry>} Occurrences overlapping the day
+ */
+export function getEntriesOnDay(entries, day) {
+  return entries.filter(entry => isOnDay(entry, day));
+}
+
+/**
+ * Positions the occurrences of a day in the week grid. Occurrences lasting a
+ * day or longer are returned separately; shorter ones running past midnight are
+ * cut at it, and overlapping ones are placed side by side in lanes.
+ * @param {Array<TimelineEntry>} entries - Occurrences sorted by start
+ * @param {Date} day - Midnight of the day
+ * @returns {{allDay: Array<TimelineEntry>, timed: Array<{entry: TimelineEntry, top: number, height: number, lane: number, lanes: number}>}}
+ *   All-day occurrences, and timed ones with top and height in percent of the grid
+ */
+export function layoutDay(entries, day) {
+  const timeZone = getDisplayTimeZone();
+  const { year, month, day: dayOfMonth } = getZonedParts(day, timeZone);
+  const gridStart = zonedTimeToDate(year, month, dayOfMonth, WEEK_GRID_HOURS.start, 0, timeZone);
+  const gridEnd = zonedTimeToDate(year, month, dayOfMonth, WEEK_GRID_HOURS.end, 0, timeZone);
+  const gridLength = gridEnd - gridStart;
+
+  const allDay = [];
+  const timed = [];
+  getEntriesOnDay(entries, day).forEach(entry => {
+    if (entry.end - entry.start >= DAY) {
+      allDay.push(entry);
+      return;
+    }
+    const start = Math.min(Math.max(entry.start, gridStart), gridEnd - 30 * 60 * 1000);
+    const end = Math.max(Math.min(entry.end, gridEnd), start + 30 * 60 * 1000);
+    timed.push({ entry, start, end });
+  });
+
+  // Greedy lane assignment: each occurrence takes the first lane that is free
+  const laneEnds = [];
+  const placed = timed.map(item => {
+    let lane = laneEnds.findIndex(laneEnd => laneEnd <= item.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = item.end;
+    return {
+      entry: item.entry,
+      top: ((item.start - gridStart) / gridLength) * 100,
+      height: ((item.end - item.start) / gridLength) * 100,
+      lane
+    };
+  });
+
+  return { allDay, timed: placed.map(item => ({ ...item, lanes: laneEnds.length })) };
+}
@@ -0,0 +1,218 @@
+/**
+ * Time zone handling
+ *
+ * Every source publishes local Zurich times without an offset, so scraped
+ * times are interpreted in Europe/Zurich, whatever the time zone of the
+ * browser or the server. Dates are displayed, and split into days, in a time
+ * zone the user can choose (Zurich by default).
+ *
+ * Months are 0-based, like in the Date constructor.
+ */
+
+export const SOURCE_TIME_ZONE = 'Europe/Zurich';
+
+const DISPLAY_TIME_ZONE_KEY = 'ethEventTimeZone';
+
+// Offered when the browser cannot list its time zones
+const COMMON_TIME_ZONES = [
+  'UTC', 'Europe/London', 'Europe/Berlin', 'Europe/Istanbul', 'Asia/Kolkata', 'Asia/Shanghai',
+  'Asia/Tokyo', 'Australia/Sydney', 'America/New_York', 'America/Chicago', 'America/Los_Angeles'
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters are expensive to create, so there is one per time zone
+const partFormatters = new Map();
+
+// Read from localStorage on first use
+let displayTimeZone = null;
+
+/**
+ * @typedef {Object} ZonedParts
+ * @property {number} year - Full year
+ * @property {number} month - Month, 0-based
+ * @property {number} day - Day of the month
+ * @property {number} hour - Hour, 0-23
+ * @property {number} minute - Minute
+ * @property {number} second - Second
+ * @property {number} weekday - Day of the week, 0 = Sunday
+ */
+
+/**
+ * Checks whether the runtime knows a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if the time zone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets the time zone dates are displayed in
+ * @returns {string} IANA time zone name
+ */
+export function getDisplayTimeZone() {
+  if (displayTimeZone) return displayTimeZone;
+  displayTimeZone = SOURCE_TIME_ZONE;
+  if (typeof localStorage === 'undefined') return displayTimeZone;
+  try {
+    const stored = localStorage.getItem(DISPLAY_TIME_ZONE_KEY);
+    if (isValidTimeZone(stored)) displayTimeZone = stored;
+  } catch (error) {
+    console.error('Error reading time zone from localStorage:', error);
+  }
+  return displayTimeZone;
+}
+
+/**
+ * Stores the time zone dates are displayed in
+ * @param {string} timeZone - IANA time zone name
+ */
+export function setDisplayTimeZone(timeZone) {
+  if (!isValidTimeZone(timeZone)) return;
+  displayTimeZone = timeZone;
+  try {
+    localStorage.setItem(DISPLAY_TIME_ZONE_KEY, timeZone);
+  } catch (error) {
+    console.error('Error storing time zone in localStorage:', error);
+  }
+}
+
+/**
+ * Gets the time zone of the browser or server
+ * @returns {string} IANA time zone name
+ */
+export function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Lists the time zones offered for display: Zurich and the system time zone
+ * first, then every other zone the runtime knows
+ * @returns {Array<string>} IANA time zone names
+ */
+export function getTimeZoneOptions() {
+  const all = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_TIME_ZONES;
+  return [...new Set([SOURCE_TIME_ZONE, getSystemTimeZone(), getDisplayTimeZone(), ...all])];
+}
+
+/**
+ * Splits a date into its calendar parts in a time zone
+ * @param {Date} date - Date
+ * @param {string} [timeZone] - IANA time zone name, the display time zone by default
+ * @returns {ZonedParts} Calendar parts
+ */
+export function getZonedParts(date, timeZone = getDisplayTimeZone()) {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(partFormatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month) - 1,
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour) % 24,
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Gets the offset of a time zone from UTC at a given moment
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds, positive east of UTC
+ */
+function getOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Builds the date of a wall-clock time in a time zone. Out-of-range values
+ * roll over like in the Date constructor. Times skipped when clocks go forward
+ * move forward by the DST shift; times repeated when clocks go back resolve to
+ * the second (standard time) occurrence.
+ * @param {number} year - Full year
+ * @param {number} month - Month, 0-based
+ * @param {number} day - Day of the month
+ * @param {number} [hour] - Hour
+ * @param {number} [minute] - Minute
+ * @param {string} [timeZone] - IANA time zone name, Europe/Zurich by default
+ * @returns {Date} Date
+ */
+export function zonedTimeToDate(year, month, day, hour = 0, minute = 0, timeZone = SOURCE_TIME_ZONE) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  // The offset depends on the result, so it is refined once around DST changes
+  const guess = wallClock - getOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Parses a date from a source. ISO dates and date-times without an offset
+ * ("2025-12-03T18:15:00") are Zurich wall-clock times; anything else is left
+ * to the Date constructor.
+ * @param {Date|string|number} value - Date-like value
+ * @returns {Date} Date, invalid if the value is not a date
+ */
+export function parseSourceDate(value) {
+  if (value instanceof Date) return value;
+  const local = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+  if (!local) return new Date(value);
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = local;
+  const date = zonedTimeToDate(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute));
+  return new Date(date.getTime() + parseInt(second) * 1000);
+}
+
+/**
+ * Returns midnight of a day in a time zone
+ * @param {Date} date - Any time of the day
+ * @param {string} [timeZone] - IANA time zone name, the display time zone by default
+ * @returns {Date} Start of that day
+ */
+export function startOfZonedDay(date, timeZone = getDisplayTimeZone()) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToDate(year, month, day, 0, 0, timeZone);
+}
+
+/**
+ * Moves a date by whole calendar days in a time zone, keeping the wall-clock
+ * time across DST changes
+ * @param {Date} date - Date
+ * @param {number} days - Days to add, may be negative
+ * @param {string} [timeZone] - IANA time zone name, the display time zone by default
+ * @returns {Date} New date
+ */
+export function addZonedDays(date, days, timeZone = getDisplayTimeZone()) {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  return zonedTimeToDate(year, month, day + days, hour, minute, timeZone);
+}
+
+/**
+ * Formats the calendar day of a date in a time zone ("YYYY-MM-DD")
+ * @param {Date} date - Date
+ * @param {string} [timeZone] - IANA time zone name, the display time zone by default
+ * @returns {string} Day key, usable as a date input value
+ */
+export function formatZonedDay(date, timeZone = getDisplayTimeZone()) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
@@ -0,0 +1,42 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchWithRetry } from '../src/services/crawler.js';
+
+const networkFetch = globalThis.fetch;
+
+/**
+ * Builds a response whose body sends its headers and then never finishes
+ * @returns {Response} Stalled response
+ */
+function stalledResponse() {
+  return new Response(new ReadableStream({ start() {} }), { status: 200 });
+}
+
+describe('fetchWithRetry', () => {
+  afterEach(() => {
+    globalThis.fetch = networkFetch;
+  });
+
+  it('times out a stalled body and retries the request', async () => {
+    let attempts = 0;
+    globalThis.fetch = async () => (++attempts === 1 ? stalledResponse() : new Response('<p>ok</p>'));
+
+    const body = await fetchWithRetry('https://example.com/', { timeout: 50, backoff: 1, read: response => response.text() });
+    assert.equal(body, '<p>ok</p>');
+    assert.equal(attempts, 2);
+  });
+
+  it('gives up on a body that keeps stalling', async () => {
+    globalThis.fetch = async () => stalledResponse();
+
+    await assert.rejects(
+      fetchWithRetry('https://example.com/', { timeout: 50, retries: 1, backoff: 1, read: response => response.text() }),
+      /timed out after 50ms/
+    );
+  });
+
+  it('returns the response itself without a reader', async () => {
+    globalThis.fetch = async () => new Response('{}');
+    assert.ok(await fetchWithRetry('https://example.com/') instanceof Response);
+  });
+});
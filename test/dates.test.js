@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateString } from '../src/services/sources/vis.js';
+import { parseEsnDateString } from '../src/services/sources/esn.js';
+import { parseVmpDateString } from '../src/services/sources/vmp.js';
+
+// Results are compared in UTC, so the tests pass whatever time zone they run in
+const iso = date => date.toISOString();
+
+describe('parseDateString (VIS)', () => {
+  it('reads day.month.year hour:minute as Zurich time', () => {
+    assert.equal(iso(parseDateString('2.12.2025 16:00')), '2025-12-02T15:00:00.000Z');
+    assert.equal(iso(parseDateString('15.07.2025 09:30')), '2025-07-15T07:30:00.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    // Clocks go from 02:00 to 03:00 on 30 March 2025 and back from 03:00 to 02:00 on 26 October
+    assert.equal(iso(parseDateString('30.3.2025 01:30')), '2025-03-30T00:30:00.000Z');
+    assert.equal(iso(parseDateString('30.3.2025 03:30')), '2025-03-30T01:30:00.000Z');
+    assert.equal(iso(parseDateString('26.10.2025 01:30')), '2025-10-25T23:30:00.000Z');
+    assert.equal(iso(parseDateString('26.10.2025 03:30')), '2025-10-26T02:30:00.000Z');
+  });
+
+  it('returns null for text that is not a date', () => {
+    assert.equal(parseDateString(''), null);
+    assert.equal(parseDateString('tomorrow evening'), null);
+  });
+});
+
+describe('parseEsnDateString', () => {
+  it('parses a single-day event', () => {
+    const { startDate, endDate } = parseEsnDateString('Wed 3. December 2025 20:00 - 23:55');
+    assert.equal(iso(startDate), '2025-12-03T19:00:00.000Z');
+    assert.equal(iso(endDate), '2025-12-03T22:55:00.000Z');
+  });
+
+  it('parses a multi-day event', () => {
+    const { startDate, endDate } = parseEsnDateString('Fri 5. December 2025 07:10 - Sun 7. December 2025 20:25');
+    assert.equal(iso(startDate), '2025-12-05T06:10:00.000Z');
+    assert.equal(iso(endDate), '2025-12-07T19:25:00.000Z');
+  });
+
+  it('uses the offset in force at each end of a range across a DST change', () => {
+    const { startDate, endDate } = parseEsnDateString('Sat 28. March 2026 07:10 - Sun 29. March 2026 20:25');
+    assert.equal(iso(startDate), '2026-03-28T06:10:00.000Z');
+    assert.equal(iso(endDate), '2026-03-29T18:25:00.000Z');
+  });
+
+  it('returns null for text that is not a date', () => {
+    assert.equal(parseEsnDateString(''), null);
+    assert.equal(parseEsnDateString('Date to be announced'), null);
+  });
+});
+
+describe('parseVmpDateString', () => {
+  it('parses p.m. times with the duration', () => {
+    const { startDate, endDate } = parseVmpDateString('Dec. 3, 2025, 6 p.m.', '4:00:00');
+    assert.equal(iso(startDate), '2025-12-03T17:00:00.000Z');
+    assert.equal(iso(endDate), '2025-12-03T21:00:00.000Z');
+  });
+
+  it('parses a.m. times with minutes', () => {
+    assert.equal(iso(parseVmpDateString('Oct. 7, 2025, 9:30 a.m.', '1:00:00').startDate), '2025-10-07T07:30:00.000Z');
+    assert.equal(iso(parseVmpDateString('Oct. 7, 2025, 12:15 a.m.', '1:00:00').startDate), '2025-10-06T22:15:00.000Z');
+    assert.equal(iso(parseVmpDateString('Oct. 7, 2025, 12:15 p.m.', '1:00:00').startDate), '2025-10-07T10:15:00.000Z');
+  });
+
+  it('parses noon and midnight', () => {
+    assert.equal(iso(parseVmpDateString('Nov. 18, 2025, noon', '1:00:00').startDate), '2025-11-18T11:00:00.000Z');
+    assert.equal(iso(parseVmpDateString('Jan. 1, 2026, midnight', '1:00:00').startDate), '2025-12-31T23:00:00.000Z');
+  });
+
+  it('parses months written in full', () => {
+    assert.equal(iso(parseVmpDateString('June 10, 2025, 6 p.m.', '1:00:00').startDate), '2025-06-10T16:00:00.000Z');
+    assert.equal(iso(parseVmpDateString('Sept. 1, 2025, 7 p.m.', '1:00:00').startDate), '2025-09-01T17:00:00.000Z');
+  });
+
+  it('lasts two hours without a duration', () => {
+    const { startDate, endDate } = parseVmpDateString('Dec. 3, 2025, 6 p.m.');
+    assert.equal(endDate - startDate, 2 * 60 * 60 * 1000);
+  });
+
+  it('returns null for text that is not a date', () => {
+    assert.equal(parseVmpDateString('', ''), null);
+    assert.equal(parseVmpDateString('Foo. 3, 2025, 6 p.m.', ''), null);
+  });
+});
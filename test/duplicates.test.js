@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicateGroups, mergeDuplicateEvents } from '../src/services/duplicates.js';
+
+const UNKNOWN_PRICE = { amount: null, memberAmount: null, membership: null, currency: 'CHF' };
+
+/**
+ * Builds a normalized event
+ * @param {string} source - Source id
+ * @param {string} id - Event id
+ * @param {string} title - Title
+ * @param {Object} [details] - Start and end (ISO), area, description and price
+ * @returns {Object} Event
+ */
+function eventOf(source, id, title, details = {}) {
+  const {
+    start = '2025-11-12T16:00:00.000Z',
+    end = '2025-11-12T18:00:00.000Z',
+    area = '',
+    description = '',
+    price = UNKNOWN_PRICE
+  } = details;
+  return {
+    id,
+    source,
+    content: { title, description, 'link-url': null },
+    location: { internal: { 'area-desc': area, building: '', room: '', addition: '' } },
+    'date-time-indication': { 'in-progress-timerange-array': [{ 'date-time-from': start, 'date-time-to': end }] },
+    price
+  };
+}
+
+const groupIds = events => findDuplicateGroups(events).map(group => group.map(event => `${event.source}:${event.id}`).sort());
+
+describe('findDuplicateGroups', () => {
+  it('matches overlapping events of different sources with similar titles', () => {
+    const eth = eventOf('ETH', '1', 'Quantum Computing Frontiers');
+    const vis = eventOf('VIS', '2', 'Quantum Computing Frontiers Colloquium', { start: '2025-11-12T17:00:00.000Z' });
+    assert.deepEqual(groupIds([eth, vis]), [['ETH:1', 'VIS:2']]);
+  });
+
+  it('needs a matching location for less similar titles', () => {
+    const eth = eventOf('ETH', '1', 'Quantum Computing Today', { area: 'Hauptgebäude, HG F 1' });
+    const atSameRoom = eventOf('VIS', '2', 'Quantum Computing Frontiers', { area: 'Hauptgebäude, HG F 1' });
+    const elsewhere = eventOf('VIS', '2', 'Quantum Computing Frontiers', { area: 'Informatikgebäude, CAB G 61' });
+    const unknown = eventOf('VIS', '2', 'Quantum Computing Frontiers');
+
+    assert.deepEqual(groupIds([eth, atSameRoom]), [['ETH:1', 'VIS:2']]);
+    assert.deepEqual(groupIds([eth, elsewhere]), []);
+    assert.deepEqual(groupIds([eth, unknown]), []);
+  });
+
+  it('ignores stop words when comparing titles', () => {
+    const eth = eventOf('ETH', '1', 'Lecture: Glacier Dynamics');
+    const uzh = eventOf('UZH', '2', 'Glacier Dynamics - Vortrag');
+    assert.deepEqual(groupIds([eth, uzh]), [['ETH:1', 'UZH:2']]);
+  });
+
+  it('keeps events apart that do not overlap, share a source or run for days', () => {
+    const eth = eventOf('ETH', '1', 'Quantum Computing Frontiers');
+    const later = eventOf('VIS', '2', 'Quantum Computing Frontiers', { start: '2025-11-12T18:00:00.000Z', end: '2025-11-12T19:00:00.000Z' });
+    const sameSource = eventOf('ETH', '3', 'Quantum Computing Frontiers');
+    const course = eventOf('VIS', '4', 'Quantum Computing Frontiers', { end: '2025-11-14T18:00:00.000Z' });
+    assert.deepEqual(groupIds([eth, later, sameSource, course]), []);
+  });
+
+  it('never groups two events of the same source through a third', () => {
+    // A ≈ B and B ≈ C, but A and C are different ETH events
+    const a = eventOf('ETH', 'a', 'Deep Learning Theory');
+    const b = eventOf('VIS', 'b', 'Deep Learning Theory Practice');
+    const c = eventOf('ETH', 'c', 'Learning Theory Practice');
+    assert.deepEqual(groupIds([a, b, c]), [['ETH:a', 'VIS:b']]);
+    assert.equal(mergeDuplicateEvents([a, b, c]).length, 2);
+  });
+});
+
+describe('mergeDuplicateEvents', () => {
+  const eth = eventOf('ETH', '90211', 'Quantum Computing Frontiers');
+  const vis = {
+    ...eventOf('VIS', '1201', 'Quantum Computing Frontiers Colloquium', {
+      area: 'VIS Lounge, CAB E 31',
+      description: 'Apéro afterwards.',
+      price: { amount: 0, memberAmount: null, membership: null, currency: 'CHF' }
+    }),
+    vis: { category: 'Talk' }
+  };
+  const unrelated = eventOf('UZH', '7', 'Book Launch');
+
+  it('keeps the first registered source as the base and fills empty fields from the others', () => {
+    const [merged, other] = mergeDuplicateEvents([vis, unrelated, eth]);
+    assert.equal(other, unrelated);
+
+    assert.equal(merged.source, 'ETH');
+    assert.equal(merged.id, '90211');
+    assert.equal(merged.content.title, 'Quantum Computing Frontiers');
+    assert.equal(merged.content.description, 'Apéro afterwards.');
+    assert.equal(merged.location.internal['area-desc'], 'VIS Lounge, CAB E 31');
+    assert.equal(merged.price.amount, 0);
+    assert.deepEqual(merged.vis, { category: 'Talk' });
+    assert.deepEqual(merged.listings.map(listing => [listing.source, listing.id, listing.url]), [
+      ['ETH', '90211', 'https://ethz.ch/en/news-and-events/events/details.quantum-computing-frontiers.90211.html'],
+      ['VIS', '1201', 'https://vis.ethz.ch/en/events/1201/']
+    ]);
+  });
+
+  it('keeps fields the base already has', () => {
+    const described = { ...eth, content: { ...eth.content, description: 'Talk by the ETH group.' } };
+    const [merged] = mergeDuplicateEvents([described, vis]);
+    assert.equal(merged.content.description, 'Talk by the ETH group.');
+  });
+
+  it('returns the same array when there is nothing to merge', () => {
+    const events = [eth, unrelated];
+    assert.equal(mergeDuplicateEvents(events), events);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage } from './helpers.js';
+import { filterEventsNext2Weeks, groupEventsBySource, getOfficialEventUrl, formatOpeningHours } from '../src/services/eventService.js';
+import { SOURCE_TIME_ZONE, setDisplayTimeZone } from '../src/services/timezone.js';
+
+installLocalStorage();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds an event with a single time range
+ * @param {string} id - Event id
+ * @param {number} startOffset - Start relative to now, in milliseconds
+ * @param {number} [duration] - Length in milliseconds
+ * @returns {Object} Event
+ */
+function eventAt(id, startOffset, duration = 2 * 60 * 60 * 1000) {
+  const start = Date.now() + startOffset;
+  return {
+    id,
+    content: { title: `Event ${id}` },
+    'date-time-indication': {
+      'in-progress-timerange-array': [{
+        'date-time-from': new Date(start).toISOString(),
+        'date-time-to': new Date(start + duration).toISOString()
+      }]
+    }
+  };
+}
+
+describe('filterEventsNext2Weeks', () => {
+  it('keeps events starting within the next 14 days', () => {
+    const events = [eventAt('soon', DAY), eventAt('later', 13 * DAY), eventAt('too-late', 15 * DAY)];
+    assert.deepEqual(filterEventsNext2Weeks(events).map(event => event.id), ['soon', 'later']);
+  });
+
+  it('keeps running events and drops finished ones', () => {
+    const events = [eventAt('running', -60 * 60 * 1000), eventAt('over', -2 * DAY)];
+    assert.deepEqual(filterEventsNext2Weeks(events).map(event => event.id), ['running']);
+  });
+
+  it('keeps multi-session events with any session in the next 2 weeks', () => {
+    const event = eventAt('course', -7 * DAY);
+    event['date-time-indication']['in-progress-timerange-array'].push(eventAt('', 3 * DAY)['date-time-indication']['in-progress-timerange-array'][0]);
+    assert.equal(filterEventsNext2Weeks([event]).length, 1);
+  });
+
+  it('keeps opening hours that are open in the next 2 weeks', () => {
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const exhibition = {
+      id: 'exhibition',
+      content: { title: 'Exhibition' },
+      'date-time-indication': {
+        'opening-hours': {
+          'date-from': new Date(Date.now() - 30 * DAY).toISOString().slice(0, 10),
+          'date-to': new Date(Date.now() + 30 * DAY).toISOString().slice(0, 10),
+          'regular-array': days.map(day => ({ 'weekday-desc': day, 'time-from': '00:00', 'time-to': '23:59' }))
+        }
+      }
+    };
+    assert.equal(filterEventsNext2Weeks([exhibition]).length, 1);
+  });
+
+  it('drops events without dates', () => {
+    assert.deepEqual(filterEventsNext2Weeks([{ id: 'tbd', content: { title: 'TBD' } }]), []);
+  });
+});
+
+describe('groupEventsBySource', () => {
+  it('groups by the short name of the first organizer', () => {
+    const events = [
+      { id: '1', organizers: { 'ou-array': [{ name: 'Department of Physics', 'name-short': 'D-PHYS' }] } },
+      { id: '2', organizers: { 'ou-array': [{ name: 'Department of Physics', 'name-short': 'D-PHYS' }, { 'name-short': 'VMP' }] } },
+      { id: '3', organizers: { 'ou-array': [{ name: 'Library' }] } }
+    ];
+    const grouped = groupEventsBySource(events);
+    assert.deepEqual(Object.keys(grouped), ['D-PHYS', 'Library']);
+    assert.deepEqual(grouped['D-PHYS'].map(event => event.id), ['1', '2']);
+  });
+
+  it('falls back to the calendar, then to "Other"', () => {
+    const grouped = groupEventsBySource([
+      { id: '1', organizers: { 'ou-array': [] }, classification: { 'cal-desc': 'Exhibitions' } },
+      { id: '2' }
+    ]);
+    assert.deepEqual(grouped, {
+      Exhibitions: [{ id: '1', organizers: { 'ou-array': [] }, classification: { 'cal-desc': 'Exhibitions' } }],
+      Other: [{ id: '2' }]
+    });
+  });
+});
+
+describe('getOfficialEventUrl', () => {
+  it('builds ethz.ch detail links from the folded title', () => {
+    const event = { id: '90211', source: 'ETH', content: { title: 'Apéro & Talk: Zürich\'s  Quantum Future!' } };
+    assert.equal(getOfficialEventUrl(event), 'https://ethz.ch/en/news-and-events/events/details.apero-talk-zurichs-quantum-future.90211.html');
+  });
+
+  it('uses the adapter of every source', () => {
+    const event = id => source => ({ id, source, content: { title: 'Title' } });
+    assert.equal(getOfficialEventUrl(event('78901')('UZH')), 'https://www.agenda.uzh.ch/en/events/78901');
+    assert.equal(getOfficialEventUrl(event('1201')('VIS')), 'https://vis.ethz.ch/en/events/1201/');
+    assert.equal(getOfficialEventUrl(event('3301')('ESN')), 'https://zurich.esn.ch/event/3301');
+    assert.equal(getOfficialEventUrl(event('physics-party')('VMP')), 'https://vmp.ethz.ch/en/events/physics-party/');
+  });
+
+  it('returns null for unknown sources and incomplete events', () => {
+    assert.equal(getOfficialEventUrl({ id: '1', source: 'NOPE', content: { title: 'Title' } }), null);
+    assert.equal(getOfficialEventUrl({ id: '', source: 'ETH', content: { title: 'Title' } }), null);
+    assert.equal(getOfficialEventUrl({ id: '1', source: 'ETH', content: {} }), null);
+  });
+});
+
+describe('formatOpeningHours', () => {
+  const exhibition = {
+    'date-time-indication': {
+      'opening-hours': {
+        'date-from': '2025-10-20',
+        'date-to': '2025-11-30',
+        'regular-array': [
+          { 'weekday-desc': 'Tuesday', 'time-from': '10:00', 'time-to': '18:00' },
+          { 'weekday-desc': 'Saturday', 'time-from': '11:00', 'time-to': '16:00' }
+        ]
+      }
+    }
+  };
+  const before = new Date('2025-10-01T12:00:00Z');
+
+  afterEach(() => setDisplayTimeZone(SOURCE_TIME_ZONE));
+
+  it('shows the Zurich hours in Zurich', () => {
+    assert.equal(formatOpeningHours(exhibition, before), 'Tue: 10:00 AM - 06:00 PM, Sat: 11:00 AM - 04:00 PM');
+  });
+
+  it('converts the hours to the display time zone', () => {
+    setDisplayTimeZone('America/New_York');
+    assert.equal(formatOpeningHours(exhibition, before), 'Tue: 04:00 AM - 12:00 PM, Sat: 05:00 AM - 10:00 AM');
+  });
+
+  it('names the day the hours fall on in the display time zone', () => {
+    setDisplayTimeZone('Asia/Tokyo');
+    assert.equal(formatOpeningHours(exhibition, before), 'Tue: 05:00 PM - Wed 01:00 AM, Sat: 06:00 PM - 11:00 PM');
+  });
+
+  it('uses the offset of the week the hours apply to', () => {
+    setDisplayTimeZone('UTC');
+    // Zurich is on winter time (UTC+1) from Oct 26, 2025
+    assert.equal(formatOpeningHours(exhibition, new Date('2025-11-10T12:00:00Z')), 'Tue: 09:00 AM - 05:00 PM, Sat: 10:00 AM - 03:00 PM');
+  });
+
+  it('is empty without weekly hours', () => {
+    assert.equal(formatOpeningHours({ 'date-time-indication': {} }), '');
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage } from './helpers.js';
+import {
+  DEFAULT_FILTER_STATE,
+  buildFilterUrl,
+  deleteFilterPreset,
+  getFilterPresets,
+  parseFilterState,
+  saveFilterPreset
+} from '../src/services/filterState.js';
+
+const storage = installLocalStorage();
+
+const BASE_URL = 'https://events.example.com/';
+
+/**
+ * Writes a filter state into a URL and reads it back
+ * @param {Object} changes - Values that differ from the default state
+ * @returns {{url: string, state: Object}} URL and the state parsed from it
+ */
+function roundTrip(changes) {
+  const url = buildFilterUrl({ ...DEFAULT_FILTER_STATE, ...changes }, BASE_URL);
+  return { url, state: { ...DEFAULT_FILTER_STATE, ...parseFilterState(new URL(url).search) } };
+}
+
+describe('filter URL', () => {
+  it('keeps the plain address for the default state', () => {
+    assert.equal(buildFilterUrl(DEFAULT_FILTER_STATE, BASE_URL), BASE_URL);
+    assert.deepEqual(parseFilterState(''), {});
+  });
+
+  it('reproduces every filter', () => {
+    const changes = {
+      datePreset: 'custom',
+      customRange: { from: '2025-03-01', to: '2025-03-31' },
+      sources: ['ETH', 'VIS'],
+      foodOnly: true,
+      foodConfidence: 'maybe',
+      maxPrice: 0,
+      includeUnknownPrice: true,
+      search: 'pizza & beer',
+      viewMode: 'agenda'
+    };
+    const { url, state } = roundTrip(changes);
+    assert.equal(
+      url,
+      `${BASE_URL}?from=2025-03-01&to=2025-03-31&sources=ETH,VIS&food=maybe&price=free&unpriced=show&q=pizza+%26+beer&view=agenda`
+    );
+    assert.deepEqual(state, { ...DEFAULT_FILTER_STATE, ...changes });
+  });
+
+  it('reproduces presets, all events and price limits', () => {
+    const changes = { datePreset: 'weekend', foodOnly: false, maxPrice: 20 };
+    const { url, state } = roundTrip(changes);
+    assert.equal(url, `${BASE_URL}?range=weekend&food=all&price=20`);
+    assert.deepEqual(state, { ...DEFAULT_FILTER_STATE, ...changes });
+  });
+
+  it('reproduces an empty source selection', () => {
+    const { state } = roundTrip({ sources: [] });
+    assert.deepEqual(state.sources, []);
+  });
+
+  it('keeps parameters that do not belong to the filters', () => {
+    const url = buildFilterUrl({ ...DEFAULT_FILTER_STATE, viewMode: 'week' }, `${BASE_URL}?lang=de&view=month&q=old#/schedule`);
+    assert.equal(url, `${BASE_URL}?lang=de&view=week#/schedule`);
+    assert.deepEqual(parseFilterState('?lang=de&utm_source=mail'), {});
+  });
+
+  it('leaves out invalid values', () => {
+    assert.deepEqual(parseFilterState('?range=forever&food=plenty&price=-5&view=timeline'), {});
+    assert.deepEqual(parseFilterState('?price=&unpriced=show'), {});
+    assert.deepEqual(parseFilterState('?price=abc'), {});
+    assert.deepEqual(parseFilterState('?price=%20'), {});
+  });
+
+  it('leaves out custom ranges without two valid days in order', () => {
+    assert.deepEqual(parseFilterState('?from=2025-02-30&to=2025-03-05'), {});
+    assert.deepEqual(parseFilterState('?from=yesterday&to=2025-03-05'), {});
+    assert.deepEqual(parseFilterState('?from=2025-03-01'), {});
+    assert.deepEqual(parseFilterState('?from=2025-03-05&to=2025-03-01'), {});
+    assert.deepEqual(parseFilterState('?from=2025-03-05&to=nope&range=week'), { datePreset: 'week' });
+  });
+
+  it('drops unknown sources and reads ids in any case', () => {
+    assert.deepEqual(parseFilterState('?sources=vis,%20eth,NOPE'), { sources: ['ETH', 'VIS'] });
+  });
+
+  it('resets the unknown price toggle with the price limit', () => {
+    assert.deepEqual(parseFilterState('?price=10'), { maxPrice: 10, includeUnknownPrice: false });
+    assert.deepEqual(parseFilterState('?unpriced=show'), {});
+    assert.equal(buildFilterUrl({ ...DEFAULT_FILTER_STATE, includeUnknownPrice: true }, BASE_URL), BASE_URL);
+  });
+
+  it('drops whitespace-only searches', () => {
+    assert.equal(buildFilterUrl({ ...DEFAULT_FILTER_STATE, search: '  ' }, BASE_URL), BASE_URL);
+    assert.deepEqual(parseFilterState('?q=%20talk%20'), { search: ' talk ' });
+  });
+});
+
+describe('filter presets', () => {
+  beforeEach(() => storage.clear());
+
+  it('saves complete states and replaces presets of the same name', () => {
+    saveFilterPreset('Lunch', { foodConfidence: 'certain' });
+    saveFilterPreset('Cheap', { maxPrice: 10 });
+    saveFilterPreset('Lunch', { foodConfidence: 'maybe', viewMode: 'agenda' });
+
+    const presets = getFilterPresets();
+    assert.deepEqual(presets.map(preset => preset.name), ['Lunch', 'Cheap']);
+    assert.deepEqual(presets[0].state, { ...DEFAULT_FILTER_STATE, foodConfidence: 'maybe', viewMode: 'agenda' });
+  });
+
+  it('deletes presets by name', () => {
+    saveFilterPreset('Lunch', {});
+    saveFilterPreset('Cheap', { maxPrice: 10 });
+    assert.deepEqual(deleteFilterPreset('Lunch').map(preset => preset.name), ['Cheap']);
+    assert.deepEqual(getFilterPresets().map(preset => preset.name), ['Cheap']);
+  });
+
+  it('ignores unreadable stored presets', () => {
+    localStorage.setItem('ethEventFilterPresets', '{"name":"not a list"}');
+    assert.deepEqual(getFilterPresets(), []);
+  });
+});
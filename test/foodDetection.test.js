@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  scoreEventFood,
+  findFoodMatches,
+  meetsFoodConfidence,
+  validateFoodSettings,
+  parseFoodSettings,
+  exportFoodSettings,
+  getDefaultFoodSettings
+} from '../src/services/foodDetection.js';
+import { eventHasFood, getFoodKeyword, filterEventsWithFood } from '../src/services/eventService.js';
+
+/**
+ * Builds an event from its texts
+ * @param {string} title - Title
+ * @param {string} [description] - Description
+ * @param {string} [source] - Source id
+ * @returns {Object} Event
+ */
+function eventWith(title, description = '', source = 'ETH') {
+  return { id: title, source, content: { title, description } };
+}
+
+describe('scoreEventFood', () => {
+  it('adds up keywords, counting each once, with a bonus in the title', () => {
+    const result = scoreEventFood(eventWith('Pizza Night', 'Pizza and snacks for everyone, more pizza later.'));
+    assert.deepEqual(result.keywords.sort(), ['pizza', 'snacks']);
+    assert.equal(result.score, 5);
+    assert.equal(result.confidence, 'certain');
+  });
+
+  it('gives weak keywords one point', () => {
+    const result = scoreEventFood(eventWith('Seminar', 'Coffee will be available.'));
+    assert.equal(result.score, 1);
+    assert.equal(result.confidence, 'maybe');
+  });
+
+  it('ignores negated keywords and unrelated phrases', () => {
+    const negated = scoreEventFood(eventWith('Workshop', 'Please note: no food provided. Lunch will not be served.'));
+    assert.deepEqual(negated.keywords, []);
+    assert.deepEqual(negated.negated.sort(), ['food', 'lunch']);
+
+    const unrelated = scoreEventFood(eventWith('Conference on food security', 'Talks about the food chain.'));
+    assert.deepEqual(unrelated.keywords, []);
+    assert.equal(unrelated.confidence, null);
+  });
+
+  it('matches accented and unaccented spellings', () => {
+    assert.deepEqual(scoreEventFood(eventWith('Semesterende', 'Anschliessend Apero im Foyer.')).keywords, ['apéro']);
+    assert.deepEqual(findFoodMatches('Apéro riche'), [{ start: 0, end: 11 }]);
+  });
+
+  it('takes points off for online events', () => {
+    const result = scoreEventFood(eventWith('Webinar', 'Bring your lunch to this online session.'));
+    assert.deepEqual(result.penalties.sort(), ['online', 'webinar']);
+    assert.ok(result.score < 0);
+  });
+
+  it('adds the prior of student association sources', () => {
+    assert.equal(scoreEventFood(eventWith('Assembly', '', 'VIS')).prior, 1);
+    assert.equal(scoreEventFood(eventWith('Assembly', '', 'ETH')).prior, 0);
+    const merged = { ...eventWith('Assembly'), listings: [{ source: 'ETH' }, { source: 'VMP' }] };
+    assert.equal(scoreEventFood(merged).prior, 1);
+  });
+});
+
+describe('food filter helpers', () => {
+  const apero = eventWith('Apéro', 'Drinks and finger food after the talk.');
+  const coffee = eventWith('Talk', 'Coffee in the break.');
+  const none = eventWith('Talk', 'No refreshments.');
+
+  it('compares confidence levels', () => {
+    assert.equal(meetsFoodConfidence('certain', 'likely'), true);
+    assert.equal(meetsFoodConfidence('maybe', 'likely'), false);
+    assert.equal(meetsFoodConfidence('maybe', 'maybe'), true);
+    assert.equal(meetsFoodConfidence(null, 'maybe'), false);
+    // Unknown thresholds fall back to the default ('likely')
+    assert.equal(meetsFoodConfidence('likely', 'sometimes'), true);
+  });
+
+  it('filters events by food confidence', () => {
+    assert.equal(eventHasFood(apero), true);
+    assert.equal(eventHasFood(coffee), false);
+    assert.equal(eventHasFood(coffee, 'maybe'), true);
+    assert.deepEqual(filterEventsWithFood([apero, coffee, none], 'maybe'), [apero, coffee]);
+  });
+
+  it('names the strongest keyword', () => {
+    assert.equal(getFoodKeyword(apero), 'apéro');
+    assert.equal(getFoodKeyword(none), null);
+  });
+});
+
+describe('food settings', () => {
+  it('cleans keywords and keeps valid rules', () => {
+    const settings = validateFoodSettings({
+      keywords: { english: [' pizza ', 'pizza', '', 'cake'] },
+      rules: [{ pattern: 'gratis\\s+\\w+', label: 'gratis' }]
+    });
+    assert.deepEqual(settings, { keywords: { english: ['pizza', 'cake'] }, rules: [{ pattern: 'gratis\\s+\\w+', label: 'gratis' }] });
+  });
+
+  it('rejects malformed settings and invalid rules', () => {
+    assert.throws(() => validateFoodSettings({}), /"keywords" object/);
+    assert.throws(() => validateFoodSettings({ keywords: { english: [1] } }), /list of strings/);
+    assert.throws(() => validateFoodSettings({ keywords: {}, rules: [{ pattern: '(' }] }), /Invalid rule/);
+    assert.throws(() => parseFoodSettings('not json'), /not valid JSON/);
+  });
+
+  it('round-trips exported settings', () => {
+    const defaults = getDefaultFoodSettings();
+    assert.deepEqual(parseFoodSettings(exportFoodSettings(defaults)), defaults);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Shared test helpers: recorded source responses instead of the network
+ *
+ * Fixtures live in test/fixtures and mirror the request paths, see
+ * getFixturePath() in server/fixtures.js:
+ *   /api/vis/en/events/        -> vis/en/events/index.html
+ *   /api/esn/event/3301        -> esn/event/3301.html
+ * JSON sources called directly (ETH, UZH) are stored as <id>.json.
+ */
+
+import '../server/dom.js';
+import { readFileSync } from 'node:fs';
+import { crawl } from '../src/services/crawler.js';
+import { parseDocument } from '../src/services/eventService.js';
+import { TEST_FIXTURES_DIR as FIXTURES_DIR, getFixturePath } from '../server/fixtures.js';
+
+export { FIXTURES_DIR, getFixturePath };
+
+// Any request that slips through to the network fails the test
+globalThis.fetch = async url => {
+  throw new Error(`Tests must not use the network (requested ${url})`);
+};
+
+/**
+ * Reads a fixture file
+ * @param {string} path - Path relative to the fixtures directory
+ * @returns {string} File contents
+ */
+export function readFixture(path) {
+  return readFileSync(FIXTURES_DIR + path, 'utf8');
+}
+
+/**
+ * Reads a recorded HTML page as a document
+ * @param {string} url - Proxied path of the page
+ * @returns {Document} Parsed document
+ */
+export function loadDocument(url) {
+  return parseDocument(readFixture(getFixturePath(url)));
+}
+
+/**
+ * Loads the recorded listing of a source, decoded like fetchSourceEvents() does
+ * @param {Object} source - Source adapter
+ * @returns {Document|Object} Parsed listing page or JSON response
+ */
+export function loadSourcePayload(source) {
+  const contents = readFixture(getFixturePath(source.endpoint));
+  return source.format === 'html' ? parseDocument(contents) : JSON.parse(contents);
+}
+
+/**
+ * Builds the fetch context handed to source adapters, serving detail pages from
+ * the fixtures; pages without a fixture fail like a request would
+ * @returns {{fetchDocument: Function, crawl: Function, requested: Array<string>}} Context,
+ *   with the paths requested so far
+ */
+export function createFixtureContext() {
+  const requested = [];
+  return {
+    requested,
+    fetchDocument: async url => {
+      requested.push(url);
+      return loadDocument(url);
+    },
+    crawl: (items, worker) => crawl(items, worker, { concurrency: 1 })
+  };
+}
+
+/**
+ * Installs an in-memory stand-in for the browser's localStorage
+ * @returns {Map<string, string>} Stored values, for clearing between tests
+ */
+export function installLocalStorage() {
+  const storage = new Map();
+  globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+  };
+  return storage;
+}
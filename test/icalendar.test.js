@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage } from './helpers.js';
+import { buildCalendar } from '../src/services/icalendar.js';
+
+installLocalStorage();
+
+/**
+ * Builds an event of a source without event pages, so its link is used as URL
+ * @param {string} id - Event id
+ * @param {Object} dateTime - date-time-indication of the event
+ * @param {Object} [content] - Title and description
+ * @returns {Object} Event
+ */
+function eventOf(id, dateTime, content = {}) {
+  const { title = `Event ${id}`, description = '' } = content;
+  return {
+    id,
+    source: 'TEST',
+    content: { title, description, 'link-url': `https://example.com/events/${id}` },
+    location: { internal: { 'area-desc': 'Hauptgebäude', building: 'HG', room: 'F 1', addition: '' } },
+    'date-time-indication': dateTime
+  };
+}
+
+/**
+ * Unfolds the calendar into its content lines
+ * @param {string} calendar - iCalendar text
+ * @returns {Array<string>} Content lines
+ */
+function contentLines(calendar) {
+  return calendar.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+/**
+ * Gets the properties of every VEVENT
+ * @param {string} calendar - iCalendar text
+ * @returns {Array<Array<string>>} Content lines of each VEVENT, without BEGIN/END
+ */
+function eventBlocks(calendar) {
+  const blocks = [];
+  let current = null;
+  contentLines(calendar).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = [];
+    } else if (line === 'END:VEVENT') {
+      blocks.push(current);
+      current = null;
+    } else if (current) {
+      current.push(line);
+    }
+  });
+  return blocks;
+}
+
+const propertiesOf = (block, name) => block.filter(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+
+const talk = eventOf('1', {
+  'in-progress-timerange-array': [{ 'date-time-from': '2025-12-02T17:00:00.000Z', 'date-time-to': '2025-12-02T18:30:00.000Z' }]
+});
+const exhibition = eventOf('2', {
+  'opening-hours': {
+    'date-from': '2025-10-20',
+    'date-to': '2025-11-30',
+    'regular-array': [
+      { 'weekday-desc': 'Tuesday', 'time-from': '10:00', 'time-to': '18:00' },
+      { 'weekday-desc': 'Saturday', 'time-from': '11:00', 'time-to': '16:00' }
+    ]
+  }
+});
+const festival = eventOf('3', { 'opening-hours': { 'date-from': '2025-11-28', 'date-to': '2025-11-30', 'regular-array': [] } });
+
+describe('buildCalendar', () => {
+  it('ships the Zurich time zone once', () => {
+    const lines = contentLines(buildCalendar([talk, exhibition, festival]));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-1), 'END:VCALENDAR');
+    assert.equal(lines.filter(line => line === 'BEGIN:VTIMEZONE').length, 1);
+    assert.ok(lines.includes('TZID:Europe/Zurich'));
+    assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+    assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+  });
+
+  it('exports a timed event in UTC', () => {
+    const [block] = eventBlocks(buildCalendar([talk]));
+    assert.deepEqual(propertiesOf(block, 'UID'), ['UID:TEST-1-0@events-eth']);
+    assert.deepEqual(propertiesOf(block, 'DTSTART'), ['DTSTART:20251202T170000Z']);
+    assert.deepEqual(propertiesOf(block, 'DTEND'), ['DTEND:20251202T183000Z']);
+    assert.deepEqual(propertiesOf(block, 'LOCATION'), ['LOCATION:Hauptgebäude - HG F 1']);
+    assert.deepEqual(propertiesOf(block, 'URL'), ['URL:https://example.com/events/1']);
+  });
+
+  it('exports opening hours as weekly Zurich times until the last day', () => {
+    const blocks = eventBlocks(buildCalendar([exhibition]));
+    assert.equal(blocks.length, 2);
+
+    const [tuesdays, saturdays] = blocks;
+    assert.deepEqual(propertiesOf(tuesdays, 'DTSTART'), ['DTSTART;TZID=Europe/Zurich:20251021T100000']);
+    assert.deepEqual(propertiesOf(tuesdays, 'DTEND'), ['DTEND;TZID=Europe/Zurich:20251021T180000']);
+    assert.deepEqual(propertiesOf(tuesdays, 'RRULE'), ['RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20251201T000000Z']);
+    assert.deepEqual(propertiesOf(saturdays, 'DTSTART'), ['DTSTART;TZID=Europe/Zurich:20251025T110000']);
+    assert.deepEqual(propertiesOf(saturdays, 'RRULE'), ['RRULE:FREQ=WEEKLY;BYDAY=SA;UNTIL=20251201T000000Z']);
+  });
+
+  it('exports opening hours without weekly hours as one all-day span', () => {
+    const [block] = eventBlocks(buildCalendar([festival]));
+    assert.deepEqual(propertiesOf(block, 'DTSTART'), ['DTSTART;VALUE=DATE:20251128']);
+    // The end date of an all-day event is exclusive
+    assert.deepEqual(propertiesOf(block, 'DTEND'), ['DTEND;VALUE=DATE:20251201']);
+    assert.deepEqual(propertiesOf(block, 'RRULE'), []);
+  });
+
+  it('escapes text values', () => {
+    const event = eventOf('4', talk['date-time-indication'], {
+      title: 'Pizza, Beer; and C:\\Temp',
+      description: '<p>First line</p>\nSecond line'
+    });
+    const [block] = eventBlocks(buildCalendar([event], { name: 'Mine, all mine' }));
+    assert.deepEqual(propertiesOf(block, 'SUMMARY'), ['SUMMARY:Pizza\\, Beer\\; and C:\\\\Temp']);
+    assert.deepEqual(propertiesOf(block, 'DESCRIPTION'), ['DESCRIPTION:First line\\nSecond line\\n\\nhttps://example.com/events/4']);
+    assert.ok(contentLines(buildCalendar([event], { name: 'Mine, all mine' })).includes('X-WR-CALNAME:Mine\\, all mine'));
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const title = 'Über die Zukunft der Quantencomputer – Öffentliche Vorlesung mit Apéro und Diskussion';
+    const calendar = buildCalendar([eventOf('5', talk['date-time-indication'], { title })]);
+    const encoder = new TextEncoder();
+
+    calendar.split('\r\n').forEach(line => {
+      assert.ok(encoder.encode(line).length <= 75, `${line} is too long`);
+      assert.ok(!line.includes('\uFFFD'));
+    });
+    assert.ok(calendar.includes('\r\n '));
+    assert.deepEqual(propertiesOf(eventBlocks(calendar)[0], 'SUMMARY'), [`SUMMARY:${title}`]);
+  });
+});
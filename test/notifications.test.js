@@ -0,0 +1,91 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage } from './helpers.js';
+import { scheduleReminders } from '../src/services/notifications.js';
+
+const storage = installLocalStorage();
+
+// Service worker registration that keeps the notifications it was asked to show
+let shown = [];
+const registration = {
+  async showNotification(title, options) {
+    const notification = { title, ...options, closed: false, close() { this.closed = true; } };
+    shown.push(notification);
+  },
+  async getNotifications({ includeTriggered = false } = {}) {
+    return shown.filter(notification => !notification.closed && (includeTriggered || !notification.showTrigger));
+  }
+};
+globalThis.window = globalThis;
+globalThis.Notification = { permission: 'granted' };
+globalThis.TimestampTrigger = class {
+  constructor(timestamp) {
+    this.timestamp = timestamp;
+  }
+};
+Object.defineProperty(globalThis, 'navigator', {
+  value: { serviceWorker: { register: async () => registration, ready: Promise.resolve(registration) } },
+  configurable: true
+});
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date(Date.now() + 3 * 24 * HOUR);
+const entry = {
+  key: 'ETH:90211',
+  addedAt: new Date().toISOString(),
+  event: {
+    id: '90211',
+    source: 'ETH',
+    content: { title: 'Quantum Computing Frontiers', 'link-url': 'https://example.com/talk' },
+    'date-time-indication': {
+      'in-progress-timerange-array': [{
+        'date-time-from': start.toISOString(),
+        'date-time-to': new Date(start.getTime() + 2 * HOUR).toISOString()
+      }]
+    }
+  }
+};
+
+const pending = () => shown.filter(notification => !notification.closed);
+const sentKeys = () => Object.keys(JSON.parse(localStorage.getItem('ethEventNotificationsSent') || '{}'));
+
+describe('triggered reminders', () => {
+  beforeEach(() => {
+    storage.clear();
+    shown = [];
+  });
+
+  it('hands reminders to the browser without marking them as sent', async () => {
+    await scheduleReminders([entry]);
+    assert.equal(pending().length, 2);
+    assert.ok(pending().every(notification => notification.showTrigger && notification.data.triggeredReminder));
+    assert.deepEqual(sentKeys(), []);
+  });
+
+  it('cancels the reminders of events removed from the schedule', async () => {
+    await scheduleReminders([entry]);
+    await scheduleReminders([]);
+    assert.equal(pending().length, 0);
+  });
+
+  it('replaces reminders when the reminder times change', async () => {
+    await scheduleReminders([entry]);
+    localStorage.setItem('ethEventNotifications', JSON.stringify({ reminders: [60] }));
+    await scheduleReminders([entry]);
+    assert.deepEqual(pending().map(notification => notification.body.split(' · ')[1]), ['reminder 1 hour before']);
+  });
+
+  it('marks reminders as sent once they came due', async () => {
+    await scheduleReminders([entry]);
+    // Pretend the browser delivered them: their due time has passed
+    const triggered = JSON.parse(localStorage.getItem('ethEventNotificationsTriggered'));
+    Object.keys(triggered).forEach(key => {
+      triggered[key] = Date.now() - 1000;
+    });
+    localStorage.setItem('ethEventNotificationsTriggered', JSON.stringify(triggered));
+
+    await scheduleReminders([entry]);
+    assert.deepEqual(sentKeys().sort(), Object.keys(triggered).sort());
+    assert.equal(shown.length, 2, 'delivered reminders are not shown again');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeEventPrice, filterEventsByPrice, getEventPrice } from '../src/services/pricing.js';
+
+/**
+ * Builds an event with only an id and a price
+ * @param {string} id - Event id
+ * @param {Object} [price] - Amount, member amount and membership; unknown when left out
+ * @returns {Object} Event
+ */
+function eventOf(id, price = {}) {
+  const { amount = null, memberAmount = null, membership = null } = price;
+  return { id, price: { amount, memberAmount, membership, currency: 'CHF' } };
+}
+
+const free = eventOf('free', { amount: 0 });
+const cheap = eventOf('cheap', { amount: 8 });
+const dinner = eventOf('dinner', { amount: 25, memberAmount: 15, membership: 'ESNcard' });
+const membersOnly = eventOf('members', { memberAmount: 5, membership: 'ESNcard' });
+const unknown = eventOf('unknown');
+
+const ids = events => events.map(event => event.id);
+
+describe('getEventPrice', () => {
+  it('uses the member price only with the membership', () => {
+    assert.equal(getEventPrice(dinner), 25);
+    assert.equal(getEventPrice(dinner, ['ESNcard']), 15);
+    assert.equal(getEventPrice(membersOnly), null);
+    assert.equal(getEventPrice(membersOnly, ['ESNcard']), 5);
+  });
+
+  it('returns null without a known price', () => {
+    assert.equal(getEventPrice(unknown), null);
+    assert.equal(getEventPrice({ id: 'bare' }), null);
+  });
+});
+
+describe('describeEventPrice', () => {
+  it('labels free and paid events', () => {
+    assert.deepEqual(describeEventPrice(free), { label: 'Free', detail: '' });
+    assert.deepEqual(describeEventPrice(eventOf('odd', { amount: 7.5 })), { label: 'CHF 7.50', detail: '' });
+  });
+
+  it('explains member prices', () => {
+    assert.deepEqual(describeEventPrice(dinner), { label: 'CHF 25', detail: 'CHF 15 with ESNcard' });
+    assert.deepEqual(describeEventPrice(dinner, ['ESNcard']), { label: 'CHF 15', detail: 'With your ESNcard; CHF 25 without' });
+    assert.deepEqual(describeEventPrice(membersOnly), { label: 'CHF 5 with ESNcard', detail: 'Price without it unknown' });
+  });
+
+  it('returns null for an unknown price', () => {
+    assert.equal(describeEventPrice(unknown), null);
+  });
+});
+
+describe('filterEventsByPrice', () => {
+  const events = [free, cheap, dinner, membersOnly, unknown];
+
+  it('keeps every event without a maximum', () => {
+    assert.deepEqual(ids(filterEventsByPrice(events, null)), ids(events));
+  });
+
+  it('leaves out unknown prices under "Free only"', () => {
+    assert.deepEqual(ids(filterEventsByPrice(events, 0)), ['free']);
+    assert.deepEqual(ids(filterEventsByPrice(events, 0, [], true)), ['free', 'members', 'unknown']);
+  });
+
+  it('compares the price the user pays', () => {
+    assert.deepEqual(ids(filterEventsByPrice(events, 20)), ['free', 'cheap']);
+    assert.deepEqual(ids(filterEventsByPrice(events, 20, ['ESNcard'])), ['free', 'cheap', 'dinner', 'members']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureContext, installLocalStorage, loadSourcePayload } from './helpers.js';
+import { getSource } from '../src/services/sources/index.js';
+import { parseSourceEvents } from '../src/services/eventService.js';
+import { getScheduleEntries, isInSchedule, migrateLegacyRegistrations } from '../src/services/schedule.js';
+
+const storage = installLocalStorage();
+
+/**
+ * Parses the recorded events of a source
+ * @param {string} id - Source id
+ * @returns {Promise<Array>} Events
+ */
+async function loadEvents(id) {
+  const source = getSource(id);
+  const { events } = await parseSourceEvents(source, loadSourcePayload(source), createFixtureContext());
+  return events;
+}
+
+const ethEvents = await loadEvents('ETH');
+const visEvents = await loadEvents('VIS');
+const lecture = ethEvents.find(event => event.id === '90211');
+const visEvent = visEvents.find(event => event.id === '1201');
+// A different ETH event that happens to share the id of VIS event 1201
+const ethNamesake = { ...lecture, id: '1201' };
+
+const storedLegacy = () => JSON.parse(localStorage.getItem('ethEventRegistrations'));
+const scheduleKeys = () => getScheduleEntries().map(entry => entry.key);
+
+describe('legacy registrations', () => {
+  beforeEach(() => storage.clear());
+
+  it('migrates numeric ids stored by earlier versions', () => {
+    localStorage.setItem('ethEventRegistrations', JSON.stringify([90211, '1202']));
+
+    assert.equal(migrateLegacyRegistrations([...ethEvents, ...visEvents]), 2);
+    assert.deepEqual(scheduleKeys(), ['ETH:90211', 'VIS:1202']);
+    assert.deepEqual(storedLegacy(), []);
+    assert.equal(isInSchedule(lecture), true);
+  });
+
+  it('keeps ids that several sources use until only one lists them', () => {
+    localStorage.setItem('ethEventRegistrations', JSON.stringify([1201]));
+
+    assert.equal(migrateLegacyRegistrations([ethNamesake, visEvent]), 0);
+    assert.deepEqual(scheduleKeys(), []);
+    assert.deepEqual(storedLegacy(), [1201]);
+
+    assert.equal(migrateLegacyRegistrations([ethNamesake]), 1);
+    assert.deepEqual(scheduleKeys(), ['ETH:1201']);
+    assert.equal(isInSchedule(visEvent), false);
+  });
+
+  it('keeps ids of events that are not listed right now', () => {
+    localStorage.setItem('ethEventRegistrations', JSON.stringify([55555]));
+
+    assert.equal(migrateLegacyRegistrations(ethEvents), 0);
+    assert.deepEqual(storedLegacy(), [55555]);
+  });
+
+  it('does not write anything when checking an event', () => {
+    localStorage.setItem('ethEventRegistrations', JSON.stringify([90211]));
+
+    assert.equal(isInSchedule(lecture), false);
+    assert.deepEqual(storedLegacy(), [90211]);
+    assert.equal(localStorage.getItem('ethEventSchedule'), null);
+  });
+});
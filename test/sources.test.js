@@ -0,0 +1,244 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureContext, getFixturePath, loadDocument, loadSourcePayload } from './helpers.js';
+import { getDateShift, shiftEventDates } from '../server/fixtures.js';
+import { getSource } from '../src/services/sources/index.js';
+import { parseSourceEvents } from '../src/services/eventService.js';
+import * as vis from '../src/services/sources/vis.js';
+import * as esn from '../src/services/sources/esn.js';
+import * as vmp from '../src/services/sources/vmp.js';
+
+/**
+ * Runs a source adapter on its recorded responses
+ * @param {string} id - Source id
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.unavailable] - Detail pages that fail to load
+ * @returns {Promise<{events: Array, rejected: Array, requested: Array<string>}>} Parsed events
+ */
+async function parseFixtures(id, { unavailable = [] } = {}) {
+  const source = getSource(id);
+  const context = createFixtureContext();
+  const fetchDocument = context.fetchDocument;
+  context.fetchDocument = async url => {
+    if (unavailable.includes(url)) throw new Error('HTTP error! status: 503');
+    return fetchDocument(url);
+  };
+  const result = await parseSourceEvents(source, loadSourcePayload(source), context);
+  return { ...result, requested: context.requested };
+}
+
+const byId = (events, id) => events.find(event => event.id === id);
+const firstRange = event => event['date-time-indication']['in-progress-timerange-array'][0];
+
+describe('ETH source', () => {
+  it('keeps PCM entries and reads times without an offset as Zurich time', async () => {
+    const { events } = await parseFixtures('ETH');
+    const lecture = byId(events, '90211');
+    assert.equal(lecture.source, 'ETH');
+    assert.equal(lecture.content.title, 'Public Lecture: Quantum Computing for Everyone');
+    assert.equal(lecture.location.internal.room, 'F 30');
+    assert.deepEqual(firstRange(lecture), {
+      'date-time-from': '2025-11-12T16:15:00.000Z',
+      'date-time-to': '2025-11-12T17:30:00.000Z'
+    });
+    assert.equal(lecture.organizers['ou-array'][0]['name-short'], 'D-PHYS');
+  });
+
+  it('keeps exhibitions with opening hours', async () => {
+    const { events } = await parseFixtures('ETH');
+    const exhibition = byId(events, '90212');
+    assert.equal(exhibition['date-time-indication']['opening-hours']['regular-array'].length, 2);
+    assert.equal(exhibition.organizers['ou-array'][0]['name-short'], 'ETH');
+  });
+
+  it('rejects entries without a title', async () => {
+    const { rejected } = await parseFixtures('ETH');
+    assert.deepEqual(rejected, [{ id: '90213', title: '', reason: 'missing title' }]);
+  });
+});
+
+describe('UZH source', () => {
+  it('converts agenda events and their millisecond timestamps', async () => {
+    const { events } = await parseFixtures('UZH');
+    assert.deepEqual(events.map(event => event.id), ['78901']);
+    const [colloquium] = events;
+    assert.equal(colloquium.content['link-url'], 'https://www.agenda.uzh.ch/en/events/78901');
+    assert.equal(colloquium.location.internal.room, 'F 101');
+    assert.equal(colloquium.classification['target-group-desc'], 'Speaker Event');
+    assert.equal(colloquium.uzh.speaker, 'Prof. Dr. Anna Keller');
+    assert.deepEqual(firstRange(colloquium), {
+      'date-time-from': '2025-11-27T16:00:00.000Z',
+      'date-time-to': '2025-11-27T18:00:00.000Z'
+    });
+  });
+
+  it('leaves out virtual events and rejects events without times', async () => {
+    const { events, rejected } = await parseFixtures('UZH');
+    assert.equal(byId(events, '78902'), undefined);
+    assert.deepEqual(rejected, [{ id: '78903', title: 'Book Launch', reason: 'missing or invalid start time' }]);
+  });
+
+  it('fails on a response without events', () => {
+    assert.throws(() => getSource('UZH').parse({}), /does not contain events array/);
+  });
+});
+
+describe('VIS source', () => {
+  it('lists each linked event once, with its listing card', () => {
+    const cards = vis.parseListingPage(loadDocument('/api/vis/en/events/'));
+    assert.deepEqual([...cards.keys()], ['1201', '1202', '1203', '1204']);
+    assert.equal(cards.get('1203').title, 'Company Visit: Ergon');
+    assert.equal(cards.get('1203').start.toISOString(), '2025-10-25T23:00:00.000Z');
+  });
+
+  it('reads labelled fields from the detail page', () => {
+    const draft = vis.parseDetailPage(loadDocument('/api/vis/en/events/1201/'), '1201');
+    assert.equal(draft.content.title, 'Christmas Apéro');
+    assert.match(draft.content.description, /mulled wine/);
+    assert.equal(draft.location.internal['area-desc'], 'CAB E 72');
+    assert.equal(draft.classification['entry-type-desc'], 'Social');
+    assert.deepEqual(draft.price, { amount: 5, currency: 'CHF' });
+    assert.equal(draft.vis.registration.end, '2025-12-01T22:59:00.000Z');
+  });
+
+  it('prefers schema.org JSON-LD', () => {
+    const draft = vis.parseDetailPage(loadDocument('/api/vis/en/events/1202/'), '1202');
+    assert.equal(draft.location.internal['area-desc'], 'VIS Lounge, Universitätstrasse 6');
+    assert.equal(draft.price.amount, 0);
+    assert.equal(draft['date-time-indication']['in-progress-timerange-array'][0]['date-time-from'].toISOString(), '2025-10-29T17:00:00.000Z');
+  });
+
+  it('falls back to the listing card times across the end of summer time', async () => {
+    const { events } = await parseFixtures('VIS');
+    assert.deepEqual(firstRange(byId(events, '1203')), {
+      'date-time-from': '2025-10-25T23:00:00.000Z',
+      'date-time-to': '2025-10-26T03:00:00.000Z'
+    });
+    assert.equal(byId(events, '1203').price.amount, 0);
+  });
+
+  it('reports events whose detail page failed to load', async () => {
+    const { events, rejected, requested } = await parseFixtures('VIS');
+    assert.deepEqual(events.map(event => event.id), ['1201', '1202', '1203']);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].id, '1204');
+    assert.equal(rejected[0].title, 'Hackathon Kickoff');
+    assert.match(rejected[0].reason, /^detail page failed to load/);
+    assert.deepEqual(requested, ['1201', '1202', '1203', '1204'].map(id => `/api/vis/en/events/${id}/`));
+  });
+
+  it('explains which fields are missing', () => {
+    const source = getSource('VIS');
+    const event = {
+      content: { title: 'Untitled' },
+      'date-time-indication': { 'in-progress-timerange-array': [{ 'date-time-from': null, 'date-time-to': null }] }
+    };
+    assert.equal(source.validate(event), 'missing start time, end time on the detail page');
+  });
+});
+
+describe('ESN source', () => {
+  it('lists each linked event once', () => {
+    assert.deepEqual(esn.parseListingPage(loadDocument('/api/esn/')), ['3301', '3302', '3303']);
+  });
+
+  it('reads the event table with member and regular prices', () => {
+    const draft = esn.parseDetailPage(loadDocument('/api/esn/event/3301'), '3301');
+    assert.equal(draft.content.title, 'Welcome Dinner at Polyterrasse');
+    assert.match(draft.content.description, /three-course welcome dinner/);
+    assert.equal(draft.location.internal['area-desc'], 'Mensa Polyterrasse, Leonhardstrasse 34');
+    assert.deepEqual(draft.price, { amount: 25, memberAmount: 15, membership: 'ESNcard', currency: 'CHF' });
+    assert.equal(draft['date-time-indication']['in-progress-timerange-array'][0]['date-time-from'].toISOString(), '2025-12-03T18:00:00.000Z');
+  });
+
+  it('reads a single price for everyone and multi-day dates', async () => {
+    const { events } = await parseFixtures('ESN');
+    const trip = byId(events, '3302');
+    assert.deepEqual(trip.price, { amount: 189, memberAmount: null, membership: null, currency: 'CHF' });
+    assert.deepEqual(firstRange(trip), {
+      'date-time-from': '2026-03-28T06:10:00.000Z',
+      'date-time-to': '2026-03-29T18:25:00.000Z'
+    });
+  });
+
+  it('takes the title from the heading and rejects events without a date', async () => {
+    const { rejected } = await parseFixtures('ESN');
+    assert.deepEqual(rejected, [{ id: '3303', title: 'Language Tandem', reason: 'missing or invalid start time' }]);
+  });
+
+  it('reports events whose detail page fails to load', async () => {
+    const { events, rejected } = await parseFixtures('ESN', { unavailable: ['/api/esn/event/3301'] });
+    assert.deepEqual(events.map(event => event.id), ['3302']);
+    assert.deepEqual(rejected.map(({ id, reason }) => [id, reason]), [
+      ['3301', 'detail page failed to load: HTTP error! status: 503'],
+      ['3303', 'missing or invalid start time']
+    ]);
+  });
+});
+
+describe('VMP source', () => {
+  it('lists event pages, leaving out navigation links', () => {
+    assert.deepEqual(vmp.parseListingPage(loadDocument('/api/vmp/en/events/alle_events')), ['physics-party', 'lunch-talk', 'new-year-party']);
+  });
+
+  it('reads the date, duration and description of a detail page', () => {
+    const draft = vmp.parseDetailPage(loadDocument('/api/vmp/en/events/physics-party/'), 'physics-party');
+    assert.equal(draft.content.title, 'Physics Party');
+    assert.match(draft.content.description, /^The legendary end of semester party/);
+    assert.doesNotMatch(draft.content.description, /Please login/);
+    assert.equal(draft.vmp.duration, '4:00:00');
+  });
+
+  it('parses every recorded event with an unknown price', async () => {
+    const { events, rejected } = await parseFixtures('VMP');
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(events.map(event => [event.id, firstRange(event)['date-time-from'], firstRange(event)['date-time-to']]), [
+      ['physics-party', '2025-12-03T17:00:00.000Z', '2025-12-03T21:00:00.000Z'],
+      ['lunch-talk', '2025-11-18T11:00:00.000Z', '2025-11-18T13:00:00.000Z'],
+      ['new-year-party', '2025-12-31T23:00:00.000Z', '2026-01-01T02:30:00.000Z']
+    ]);
+    assert.ok(events.every(event => event.price.amount === null));
+  });
+
+  it('reports events whose detail page fails to load', async () => {
+    const { events, rejected } = await parseFixtures('VMP', { unavailable: ['/api/vmp/en/events/lunch-talk/'] });
+    assert.deepEqual(events.map(event => event.id), ['physics-party', 'new-year-party']);
+    assert.deepEqual(rejected, [{ id: 'lunch-talk', title: '', reason: 'detail page failed to load: HTTP error! status: 503' }]);
+  });
+});
+
+describe('fixture paths', () => {
+  it('maps proxied paths and the sites behind them to the same file', () => {
+    assert.equal(getFixturePath('/api/vis/en/events/1201/'), 'vis/en/events/1201/index.html');
+    assert.equal(getFixturePath(`${getSource('VIS').proxy.target}/en/events/1201/`), 'vis/en/events/1201/index.html');
+    assert.equal(getFixturePath('/api/esn/'), 'esn/index.html');
+    assert.equal(getFixturePath('/api/esn/event/3301?lang=en'), 'esn/event/3301.html');
+  });
+
+  it('stores JSON sources by id and ignores other requests', () => {
+    assert.equal(getFixturePath(getSource('UZH').endpoint), 'uzh.json');
+    assert.equal(getFixturePath('https://example.com/events'), null);
+  });
+});
+
+describe('fixture dates', () => {
+  it('moves recordings forward by whole weeks', () => {
+    assert.equal(getDateShift('2025-11-24T00:00:00.000Z', new Date('2025-11-26T12:00:00Z')), 0);
+    assert.equal(getDateShift('2025-11-24T00:00:00.000Z', new Date('2026-10-18T12:00:00Z')), 47 * 7);
+    assert.equal(getDateShift(undefined), 0);
+  });
+
+  it('keeps Zurich wall-clock times across DST changes', async () => {
+    const { events } = await parseFixtures('ETH');
+    const [lecture, exhibition] = events.map(event => shiftEventDates(event, 35 * 7));
+
+    // 17:15 on Wed Nov 12, 2025 (UTC+1) is 17:15 on Wed Jul 15, 2026 (UTC+2)
+    assert.deepEqual(firstRange(lecture), {
+      'date-time-from': '2026-07-15T15:15:00.000Z',
+      'date-time-to': '2026-07-15T16:30:00.000Z'
+    });
+    assert.equal(exhibition['date-time-indication']['opening-hours']['date-from'], '2026-06-22');
+    assert.equal(exhibition['date-time-indication']['opening-hours']['date-to'], '2026-08-02');
+    assert.equal(firstRange(events[0])['date-time-from'], '2025-11-12T16:15:00.000Z');
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage } from './helpers.js';
+import { formatDateInput } from '../src/services/eventService.js';
+import { SOURCE_TIME_ZONE, setDisplayTimeZone, zonedTimeToDate } from '../src/services/timezone.js';
+import { getEntriesOnDay, getMonths, getWeeks, groupByDay, layoutDay, listOccurrences } from '../src/services/timeline.js';
+
+installLocalStorage();
+
+/**
+ * Builds a Zurich time
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {number} [hour] - Hour
+ * @param {number} [minute] - Minute
+ * @returns {Date} Date
+ */
+function zurich(day, hour = 0, minute = 0) {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  return zonedTimeToDate(year, month - 1, dayOfMonth, hour, minute, SOURCE_TIME_ZONE);
+}
+
+/**
+ * Builds an event with a single time range
+ * @param {string} id - Event id
+ * @param {Date} start - Start
+ * @param {Date} end - End
+ * @returns {Object} Event
+ */
+function eventOf(id, start, end) {
+  return {
+    id,
+    source: 'ETH',
+    content: { title: `Event ${id}` },
+    'date-time-indication': {
+      'in-progress-timerange-array': [{ 'date-time-from': start.toISOString(), 'date-time-to': end.toISOString() }]
+    }
+  };
+}
+
+/**
+ * Lists the occurrences of events within a range of Zurich days
+ * @param {Array} events - Events
+ * @param {string} from - First day
+ * @param {string} to - Day after the last day
+ * @returns {Array} Occurrences
+ */
+const occurrencesBetween = (events, from, to) => listOccurrences(events, zurich(from), zurich(to));
+
+const ids = entries => entries.map(entry => entry.event.id);
+const dayKeys = days => days.map(day => formatDateInput(day));
+
+describe('timeline', () => {
+  afterEach(() => setDisplayTimeZone(SOURCE_TIME_ZONE));
+
+  describe('events spanning midnight', () => {
+    const party = eventOf('party', zurich('2025-11-14', 22), zurich('2025-11-15', 2));
+    const talk = eventOf('talk', zurich('2025-11-14', 22), zurich('2025-11-15'));
+    const entries = occurrencesBetween([party, talk], '2025-11-10', '2025-11-17');
+
+    it('lists them in the agenda on the day they start', () => {
+      const days = groupByDay(entries, zurich('2025-11-10'));
+      assert.deepEqual(days.map(day => day.key), ['2025-11-14']);
+      assert.deepEqual(ids(days[0].entries), ['talk', 'party']);
+    });
+
+    it('shows them on both days, unless they end at midnight', () => {
+      assert.deepEqual(ids(getEntriesOnDay(entries, zurich('2025-11-14'))), ['talk', 'party']);
+      assert.deepEqual(ids(getEntriesOnDay(entries, zurich('2025-11-15'))), ['party']);
+    });
+
+    it('places them in the time grid of both days instead of the all-day row', () => {
+      const evening = layoutDay(entries, zurich('2025-11-14'));
+      assert.deepEqual(evening.allDay, []);
+      assert.deepEqual(evening.timed.map(item => [item.entry.event.id, item.top, item.height]), [
+        ['talk', 93.75, 6.25],
+        ['party', 93.75, 6.25]
+      ]);
+
+      // The rest of the night is clamped to the start of the grid
+      const morning = layoutDay(entries, zurich('2025-11-15'));
+      assert.deepEqual(morning.allDay, []);
+      assert.deepEqual(morning.timed.map(item => [item.entry.event.id, item.top]), [['party', 0]]);
+    });
+
+    it('keeps events of a day or longer in the all-day row', () => {
+      const retreat = eventOf('retreat', zurich('2025-11-14', 18), zurich('2025-11-16', 12));
+      const retreatEntries = occurrencesBetween([retreat], '2025-11-10', '2025-11-17');
+      ['2025-11-14', '2025-11-15', '2025-11-16'].forEach(day => {
+        const { allDay, timed } = layoutDay(retreatEntries, zurich(day));
+        assert.deepEqual([ids(allDay), timed.length], [['retreat'], 0], day);
+      });
+    });
+
+    it('splits days in the display time zone', () => {
+      setDisplayTimeZone('America/New_York');
+      // 22:00 in Zurich is 16:00 in New York, so the party happens on one day there
+      const days = groupByDay(entries, zurich('2025-11-10'));
+      assert.deepEqual(days.map(day => day.key), ['2025-11-14']);
+      // Midnight in New York is 06:00 in Zurich
+      assert.equal(getEntriesOnDay(entries, zurich('2025-11-15', 6)).length, 0);
+    });
+  });
+
+  describe('daylight saving changes', () => {
+    it('starts every day of a week at midnight across the change', () => {
+      // Clocks go back on Sunday 26 October 2025 and forward on Sunday 30 March 2025
+      const [autumn] = getWeeks(zurich('2025-10-22'), zurich('2025-10-23'));
+      assert.deepEqual(dayKeys(autumn), ['2025-10-20', '2025-10-21', '2025-10-22', '2025-10-23', '2025-10-24', '2025-10-25', '2025-10-26']);
+      assert.deepEqual(autumn.map(day => day.getTime()), autumn.map(day => zurich(formatDateInput(day)).getTime()));
+
+      const [spring] = getWeeks(zurich('2025-03-30', 12), zurich('2025-03-30', 13));
+      assert.equal(formatDateInput(spring[0]), '2025-03-24');
+      assert.equal(spring[6].getTime(), zurich('2025-03-30').getTime());
+    });
+
+    it('places sessions by wall-clock time on the day of the change', () => {
+      const brunch = eventOf('brunch', zurich('2025-10-26', 10), zurich('2025-10-26', 12));
+      const { timed } = layoutDay(occurrencesBetween([brunch], '2025-10-20', '2025-10-27'), zurich('2025-10-26'));
+      assert.deepEqual(timed.map(item => [item.top, item.height]), [[18.75, 12.5]]);
+    });
+
+    it('keeps a night across the change out of the all-day row', () => {
+      // 22:00 to 02:00 lasts five hours that night
+      const party = eventOf('party', zurich('2025-10-25', 22), zurich('2025-10-26', 2));
+      const entries = occurrencesBetween([party], '2025-10-20', '2025-10-27');
+      assert.equal(party['date-time-indication']['in-progress-timerange-array'][0]['date-time-to'], '2025-10-26T01:00:00.000Z');
+      assert.deepEqual(groupByDay(entries, zurich('2025-10-20')).map(day => day.key), ['2025-10-25']);
+      assert.deepEqual(ids(layoutDay(entries, zurich('2025-10-25')).timed.map(item => item.entry)), ['party']);
+      assert.deepEqual(ids(layoutDay(entries, zurich('2025-10-26')).timed.map(item => item.entry)), ['party']);
+    });
+
+    it('groups a session just after midnight on its own day', () => {
+      const lateNight = eventOf('late', zurich('2025-03-30', 0, 30), zurich('2025-03-30', 4));
+      const days = groupByDay(occurrencesBetween([lateNight], '2025-03-24', '2025-03-31'), zurich('2025-03-24'));
+      assert.deepEqual(days.map(day => day.key), ['2025-03-30']);
+    });
+  });
+
+  describe('month boundaries', () => {
+    it('builds calendar grids of whole weeks for every month of the range', () => {
+      const months = getMonths(zurich('2025-10-15', 9), zurich('2025-11-10'));
+      assert.deepEqual(months.map(month => [month.key, month.label, month.month]), [
+        ['2025-10-01', 'October 2025', 9],
+        ['2025-11-01', 'November 2025', 10]
+      ]);
+      assert.deepEqual(months[0].weeks.map(week => formatDateInput(week[0])), ['2025-09-29', '2025-10-06', '2025-10-13', '2025-10-20', '2025-10-27']);
+      assert.deepEqual(months[1].weeks.map(week => formatDateInput(week[0])), ['2025-10-27', '2025-11-03', '2025-11-10', '2025-11-17', '2025-11-24']);
+    });
+
+    it('continues into the next year', () => {
+      const months = getMonths(zurich('2025-12-20'), zurich('2026-01-10'));
+      assert.deepEqual(months.map(month => month.key), ['2025-12-01', '2026-01-01']);
+      assert.equal(formatDateInput(months[1].weeks.at(-1)[6]), '2026-02-01');
+    });
+
+    it('shows an event crossing into the next month on both sides', () => {
+      const halloween = eventOf('halloween', zurich('2025-10-31', 23), zurich('2025-11-01', 1));
+      const newMonth = eventOf('first', zurich('2025-11-01'), zurich('2025-11-01', 1));
+      const entries = occurrencesBetween([halloween, newMonth], '2025-10-01', '2025-12-01');
+
+      assert.deepEqual(ids(getEntriesOnDay(entries, zurich('2025-10-31'))), ['halloween']);
+      assert.deepEqual(ids(getEntriesOnDay(entries, zurich('2025-11-01'))), ['halloween', 'first']);
+      assert.deepEqual(groupByDay(entries, zurich('2025-10-01')).map(day => [day.key, ids(day.entries)]), [
+        ['2025-10-31', ['halloween']],
+        ['2025-11-01', ['first']]
+      ]);
+    });
+
+    it('lists occurrences that started before the range on its first day', () => {
+      const festival = eventOf('festival', zurich('2025-10-30', 18), zurich('2025-11-02', 2));
+      const entries = occurrencesBetween([festival], '2025-11-01', '2025-12-01');
+      assert.deepEqual(groupByDay(entries, zurich('2025-11-01')).map(day => day.key), ['2025-11-01']);
+    });
+  });
+});
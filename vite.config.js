@@ -1,33 +1,72 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
 import tailwindcss from '@tailwindcss/vite'
+import { getSources } from './src/services/sources/index.js'
+
+// Sites without CORS headers are reached through a proxy declared by their source adapter
+const sourceProxies = Object.fromEntries(
+  getSources()
+    .filter(source => source.proxy)
+    .map(({ proxy }) => [proxy.path, {
+      target: proxy.target,
+      changeOrigin: true,
+      rewrite: (path) => path.replace(new RegExp(`^${proxy.path}`), ''),
+      secure: false,
+    }])
+)
+
+// The events API is served by the aggregation server (npm run server)
+const eventsServer = process.env.EVENTS_SERVER_URL || 'http://localhost:3000'
+
+// Lists the app shell for the service worker to precache (see public/sw.js).
+// The version changes with every build whose files differ, so the service
+// worker replaces its cache.
+function precacheManifest() {
+  const publicDir = fileURLToPath(new URL('./public', import.meta.url))
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const publicFiles = readdirSync(publicDir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile() && entry.name !== 'sw.js')
+        .map(entry => join(entry.parentPath, entry.name))
+
+      // Fingerprinted file names change with their content; the rest is hashed
+      const hash = createHash('sha256')
+      Object.values(bundle).forEach(file => hash.update(file.fileName === 'index.html' ? file.source : file.fileName))
+      publicFiles.forEach(file => hash.update(readFileSync(file)))
+
+      const urls = [
+        '/',
+        ...Object.keys(bundle).filter(file => file !== 'index.html').map(file => `/${file}`),
+        ...publicFiles.map(file => `/${relative(publicDir, file).split(sep).join('/')}`)
+      ]
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.js',
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify({ version: hash.digest('hex').slice(0, 12), urls: urls.sort() }, null, 2)};\n`
+      })
+    }
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     vue(),
     tailwindcss(),
+    precacheManifest(),
   ],
   server: {
     proxy: {
-      '/api/vis': {
-        target: 'https://vis.ethz.ch',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/vis/, ''),
-        secure: false,
-      },
-      '/api/esn': {
-        target: 'https://zurich.esn.ch',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/esn/, ''),
-        secure: false,
-      },
-      '/api/vmp': {
-        target: 'https://vmp.ethz.ch',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/vmp/, ''),
-        secure: false,
-      }
+      '/api/events': eventsServer,
+      '/api/calendar.ics': eventsServer,
+      '/api/sources': eventsServer,
+      ...sourceProxies,
     }
   },
   preview: {